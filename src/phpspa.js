@@ -879,9 +879,18 @@
          const targetElement = document.querySelector("[data-phpspa-target]");
          const targetElementInfo = document.querySelector("[phpspa-target-data]");
          const uri = location.toString();
+         const savedScroll = history.state?.scroll;
+
+         // --- Server-provided defaults, options set with phpspa.configure() keep precedence ---
+         RuntimeManager.readDeclarativeConfig();
+
+         // --- The build this document was rendered with, compared against X-Phpspa-Version ---
+         RuntimeManager.version = document.querySelector('meta[name="phpspa-version"]')?.content || null;
 
          RuntimeManager.emit('load', {
             route: uri,
+            targetID: targetElement?.id || null,
+            source: "initial",
             success: true,
             error: false
          });
@@ -924,10 +933,15 @@
                 *    currentRoutes: string[],
                 *    defaultContent: string[],
                 *    exact: boolean[],
+                *    version?: string,
                 * }}
                 */
                const targetDataInfo = JSON.parse(base64ToUtf8(targetData));
 
+               if (!RuntimeManager.version && targetDataInfo.version) {
+                  RuntimeManager.version = String(targetDataInfo.version);
+               }
+
                targetDataInfo.targetIDs.forEach((value, index) => {
                   const exact = targetDataInfo.exact[index];
                   const defaultContent = targetDataInfo.defaultContent[index];
@@ -945,6 +959,11 @@
                })
             }
 
+            // --- Keep the history position when the page is reloaded mid-history ---
+            if (typeof history.state?.index === "number") {
+               RuntimeManager.historyIndex = history.state.index;
+            }
+
             // --- Replace current history state with PhpSPA data ---
             RuntimeManager.replaceState(
                initialState,
@@ -957,51 +976,367 @@
                setTimeout(phpspa.reloadComponent, initialState.reloadTime);
             }
          }
+
+         // --- Restore the saved scroll position when the page itself is reloaded ---
+         if (savedScroll) {
+            RuntimeManager.restoreScroll(savedScroll);
+         } else if (location.hash) {
+            // --- The browser jumped to the hash without the sticky header offset ---
+            RuntimeManager.scrollToHash(location.hash);
+         }
+
+         // --- Highlight menu links for the page the server rendered ---
+         RuntimeManager.updateActiveLinks();
+
+         // --- Plugins registered before the page loaded get their attribute handlers run now ---
+         RuntimeManager.applyAttributeHandlers(document.body);
+
+         // --- Start viewport and eager prefetching, and rescan after every navigation ---
+         RuntimeManager.scanPrefetchLinks();
+         phpspa.on("load", () => RuntimeManager.scanPrefetchLinks());
+      });
+
+      /**
+       * Prefetch links marked with data-phpspa-prefetch="hover" on hover intent.
+       * The request is only sent if the pointer rests on the link for a short delay.
+       */
+      let hoveredLink = null;
+      let hoverTimer = null;
+
+      document.addEventListener("mouseover", (event) => {
+         const link = event.target.closest?.('a[data-type="phpspa-link-tag"][data-phpspa-prefetch]');
+
+         if (!link || link === hoveredLink) return;
+         if (RuntimeManager.prefetchStrategy(link) !== "hover") return;
+
+         hoveredLink = link;
+         clearTimeout(hoverTimer);
+         hoverTimer = setTimeout(() => phpspa.prefetch(link.href), RuntimeManager.config.prefetchHoverDelay);
+      });
+
+      document.addEventListener("mouseout", (event) => {
+         if (!hoveredLink || hoveredLink.contains(event.relatedTarget)) return;
+
+         // --- Pointer left before the intent delay elapsed ---
+         clearTimeout(hoverTimer);
+         hoveredLink = null;
       });
 
+      /**
+       * Keyboard focus and touch are strong intent signals, prefetch right away
+       */
+      const prefetchOnIntent = (event) => {
+         const link = event.target.closest?.('a[data-type="phpspa-link-tag"][data-phpspa-prefetch]');
+
+         if (link && RuntimeManager.prefetchStrategy(link) === "hover") {
+            phpspa.prefetch(link.href);
+         }
+      };
+
+      document.addEventListener("focusin", prefetchOnIntent);
+      document.addEventListener("touchstart", prefetchOnIntent, { passive: true });
+
+      /**
+       * Remember the element a click started on, so requests made from the
+       * same click (links, buttons calling setState/__call) can mark it busy
+       */
+      document.addEventListener("click", (event) => {
+         RuntimeManager.trigger = event.target.closest?.("a, button, input, [data-phpspa-trigger]") ?? null;
+         setTimeout(() => { RuntimeManager.trigger = null; }, 0);
+      }, { capture: true });
+
       /**
        * Handle clicks on PhpSPA navigation links
        * Intercepts clicks on elements with data-type="phpspa-link-tag"
        * and routes them through the SPA navigation system
        */
       document.addEventListener("click", (event) => {
-         const spaLink = event.target.closest('a[data-type="phpspa-link-tag"]');
+         const spaLink = event.target.closest?.('a[data-type="phpspa-link-tag"]');
 
-         if (spaLink) {
-            // --- Prevent default browser navigation ---
-            event.preventDefault();
+         // --- New tabs, downloads, other sites and opted-out links are left to the browser ---
+         if (!spaLink || !RuntimeManager.shouldInterceptClick(event, spaLink)) return;
+
+         // --- Prevent default browser navigation ---
+         event.preventDefault();
+
+         // --- Navigate using PhpSPA system ---
+         phpspa.navigate(new URL(spaLink.href, location.href), RuntimeManager.linkOptions(spaLink));
+      });
+
+      /**
+       * Track unsaved changes in forms marked with data-phpspa-confirm-leave
+       */
+      const markDirty = (event) => {
+         const form = event.target.form ?? event.target.closest?.("form");
+
+         if (form?.hasAttribute("data-phpspa-confirm-leave")) {
+            RuntimeManager.dirtyForms.add(form);
+         }
+      };
+
+      document.addEventListener("input", markDirty);
+      document.addEventListener("change", markDirty);
+
+      // --- Submitting or resetting a form means its changes are no longer at risk ---
+      document.addEventListener("submit", (event) => RuntimeManager.dirtyForms.delete(event.target));
+      document.addEventListener("reset", (event) => RuntimeManager.dirtyForms.delete(event.target));
 
-            // --- Navigate using PhpSPA system ---
-            phpspa.navigate(new URL(spaLink.href, location.href), "push");
+      /**
+       * Warn before closing or reloading the tab with unsaved form changes
+       */
+      window.addEventListener("beforeunload", (event) => {
+         if (RuntimeManager.hasDirtyForms()) {
+            event.preventDefault();
+            event.returnValue = "";
          }
       });
 
+      /**
+       * Handle submissions of PhpSPA forms
+       * Intercepts forms with data-type="phpspa-form" and routes them
+       * through the SPA navigation system
+       */
+      document.addEventListener("submit", (event) => {
+         const form = event.target;
+
+         if (!form.matches?.('form[data-type="phpspa-form"]') || event.defaultPrevented) return;
+
+         const submitter = event.submitter ?? null;
+         const method = (submitter?.getAttribute("formmethod") || form.getAttribute("method") || "GET").toLowerCase();
+         const target = submitter?.getAttribute("formtarget") || form.getAttribute("target");
+         const action = new URL(
+            submitter?.getAttribute("formaction") || form.getAttribute("action") || location.href,
+            location.href
+         );
+
+         // --- Leave dialogs, new windows and cross-origin actions to the browser ---
+         if (method === "dialog" || (target && target !== "_self") || action.origin !== location.origin) return;
+
+         event.preventDefault();
+         phpspa.submit(form, submitter);
+      });
+
+      /**
+       * Reflect connectivity on <html data-phpspa-offline> and resume
+       * requests that failed while offline once the connection returns
+       */
+      const updateConnectivity = () => {
+         document.documentElement.toggleAttribute("data-phpspa-offline", navigator.onLine === false);
+      };
+
+      updateConnectivity();
+      window.addEventListener("offline", updateConnectivity);
+      window.addEventListener("online", () => {
+         updateConnectivity();
+
+         const retries = [...RuntimeManager.onlineRetries.values()];
+         RuntimeManager.onlineRetries.clear();
+         retries.forEach((retry) => retry());
+      });
+
+      /**
+       * PhpSPA restores scroll positions itself once content is back in place
+       */
+      if ("scrollRestoration" in history) {
+         history.scrollRestoration = "manual";
+      }
+
+      /**
+       * Keep the scroll position of the current history entry up to date,
+       * including scrollable containers (scroll events don't bubble, so capture)
+       */
+      document.addEventListener("scroll", () => RuntimeManager.scheduleScrollSave(), { capture: true, passive: true });
+      window.addEventListener("pagehide", () => RuntimeManager.saveScrollPosition());
+
       /**
        * Handle browser back/forward button navigation
-       * Restores page content when user navigates through browser history
+       * Runs navigation guards first, and moves back to the previous
+       * history position if one of them blocks the traversal
        */
       window.addEventListener("popstate", (event) => {
-         /**
-          * Get state data for browser history
-          *
-          * @type {{
-          *    url: string,
-          *    title: string,
-          *    targetID: string,
-          *    content: string,
-          *    exact: boolean,
-          *    defaultContent: string
-          * }}
-          */
+         // --- This traversal undoes a blocked one, nothing to restore ---
+         if (RuntimeManager.ignoreNextPopstate) {
+            RuntimeManager.ignoreNextPopstate = false;
+            return;
+         }
+
          const navigationState = event.state;
 
-         RuntimeManager.emit('beforeload', { route: location.toString() });
+         // --- The history moved, pending back()/forward() calls now wait for the restore ---
+         RuntimeManager.holdTraversals();
+
+         // --- The browser already switched entries, positions must not be saved into the new one ---
+         RuntimeManager.pauseScrollTracking();
+
+         // --- Only the hash changed and the entry shows the same content, nothing to fetch or guard ---
+         if (isHashChange(navigationState)) {
+            restoreHashState(navigationState);
+            return;
+         }
+
+         if (!RuntimeManager.hasGuards()) {
+            restoreHistoryState(navigationState);
+            return;
+         }
+
+         // --- How far the browser moved, to undo it if a guard blocks ---
+         const delta = typeof navigationState?.index === "number"
+            ? RuntimeManager.historyIndex - navigationState.index
+            : 0;
+
+         RuntimeManager.runGuards({
+            url: new URL(location.href),
+            from: RuntimeManager.currentURL,
+            type: "popstate",
+            method: "GET",
+         }).then((allowed) => {
+            if (allowed) {
+               restoreHistoryState(navigationState);
+               return;
+            }
+
+            // --- Entries without a PhpSPA index can't be undone reliably ---
+            if (delta !== 0) {
+               RuntimeManager.ignoreNextPopstate = true;
+               history.go(delta);
+            }
+
+            RuntimeManager.resumeScrollTracking();
+            RuntimeManager.settleTraversal({
+               success: false,
+               url: location.href,
+               targetID: null,
+               title: document.title,
+               status: null,
+               fromCache: false,
+               blocked: true,
+               error: "Navigation blocked by a guard",
+            });
+         });
+      });
+
+      /**
+       * Fragment links and typed hashes don't leave the page, browsers fire hashchange for
+       * them (some without popstate)
+       */
+      window.addEventListener("hashchange", () => {
+         // --- Already handled by popstate ---
+         if (location.href === RuntimeManager.currentURL) return;
+
+         RuntimeManager.pauseScrollTracking();
+         restoreHashState(history.state);
+      });
+
+      /**
+       * Checks whether moving to an entry only changed the hash of the page on screen
+       *
+       * @param {Object|null} navigationState - The history state of the new entry
+       * @returns {boolean}
+       */
+      function isHashChange(navigationState) {
+         if (!RuntimeManager.isSameDocument(location.href, RuntimeManager.currentURL)) return false;
+
+         // --- Entries created by the browser for fragment links have no state ---
+         if (!navigationState) return location.hash !== new URL(RuntimeManager.currentURL).hash;
+
+         return navigationState.content === RuntimeManager.currentState?.content &&
+            navigationState.targetID === RuntimeManager.currentState?.targetID;
+      }
+
+      /**
+       * Moves to another hash of the page on screen, restoring the entry's scroll position
+       * or scrolling to the hash target
+       *
+       * @param {Object|null} navigationState - The history state of the new entry
+       */
+      function restoreHashState(navigationState) {
+         if (navigationState) {
+            if (typeof navigationState.index === "number") {
+               RuntimeManager.historyIndex = navigationState.index;
+            }
+
+            RuntimeManager.currentURL = location.href;
+            RuntimeManager.currentState = navigationState;
+            RuntimeManager.updateActiveLinks();
+         } else {
+            // --- A plain fragment link added this entry, give it the content of the one it came from ---
+            RuntimeManager.historyIndex++;
+
+            const entry = { ...RuntimeManager.currentState, url: location.href };
+            delete entry.scroll;
+
+            RuntimeManager.replaceState(entry, document.title, location.href);
+         }
+
+         if (navigationState?.scroll) {
+            RuntimeManager.restoreScroll(navigationState.scroll);
+         } else {
+            RuntimeManager.scrollToHash(location.hash);
+         }
+
+         RuntimeManager.resumeScrollTracking();
+
+         RuntimeManager.settleTraversal({
+            success: true,
+            url: location.href,
+            targetID: RuntimeManager.currentState?.targetID ?? null,
+            title: document.title,
+            status: null,
+            fromCache: true,
+         });
+      }
+
+      /**
+       * Restores page content when user navigates through browser history
+       *
+       * @param {{
+       *    url: string,
+       *    title: string,
+       *    targetID: string,
+       *    content: string,
+       *    exact: boolean,
+       *    defaultContent: string,
+       *    index: number
+       * }|null} navigationState - State data of the history entry
+       */
+      function restoreHistoryState(navigationState) {
+         // --- Entries are numbered, so a lower index means the user went back ---
+         const direction = typeof navigationState?.index === "number" && navigationState.index < RuntimeManager.historyIndex
+            ? "back"
+            : "forward";
+
+         // --- Keep track of the current position in the history stack ---
+         if (typeof navigationState?.index === "number") {
+            RuntimeManager.historyIndex = navigationState.index;
+         }
+
+         RuntimeManager.currentURL = location.href;
+         RuntimeManager.currentState = navigationState;
 
-         // --- Enable automatic scroll restoration ---
-         history.scrollRestoration = "auto";
+         // --- History traversal supersedes any navigation still in flight ---
+         const { generation } = RuntimeManager.beginNavigation();
+
+         const startTime = performance.now();
+
+         /**
+          * Builds the payload of a lifecycle event
+          *
+          * @param {Object} details - Event specific fields
+          */
+         const eventDetail = (details) => ({
+            route: location.toString(),
+            targetID: navigationState?.targetID ?? null,
+            source: "popstate",
+            timing: RuntimeManager.timing(startTime),
+            response: null,
+            ...details,
+         });
 
          // --- Check if we have valid PhpSPA state data ---
          if (navigationState && navigationState.content) {
+            // --- The browser already moved, so the restore can't be cancelled ---
+            RuntimeManager.emit('beforeload', eventDetail({}));
+
             // --- Restore page title ---
             document.title = navigationState.title ?? document.title;
 
@@ -1010,6 +1345,8 @@
                document.getElementById(navigationState.targetID) ?? document.body;
 
             if (navigationState.targetID) {
+               RuntimeManager.claimTarget(navigationState.targetID);
+
                RuntimeManager.currentRoutes[navigationState.targetID] = {
                   route: navigationState.url,
                   exact: navigationState.exact,
@@ -1017,6 +1354,11 @@
                }
             }
 
+            const fragments = navigationState.fragments ?? [];
+            const fragmentTargets = new Set(fragments.map(({ targetID }) => targetID));
+
+            RuntimeManager.recordFragments(fragments, navigationState.url);
+
             const currentRoutes = RuntimeManager.currentRoutes;
 
             for (const targetID in currentRoutes) {
@@ -1028,16 +1370,10 @@
                // --- Then the document URL has changed ---
                // --- That is they are navigating away ---
                // --- And any route with exact === true must go back to its default content ---
-               if (targetInfo.exact === true && targetID !== navigationState.targetID) {
+               if (targetInfo.exact === true && targetID !== navigationState.targetID && !fragmentTargets.has(targetID)) {
                   let currentHTML = document.getElementById(targetID)
                   if (currentHTML) {
-                     try {
-                        morphdom(currentHTML, '<div>' + targetInfo.defaultContent + '</div>', {
-                           childrenOnly: true
-                        });
-                     } catch {
-                        currentHTML.innerHTML = targetInfo.defaultContent;
-                     }
+                     RuntimeManager.swapContent(currentHTML, targetInfo.defaultContent);
                   }
 
                   delete currentRoutes[targetID];
@@ -1045,54 +1381,115 @@
             }
 
             // --- Decode and restore HTML content ---
+            RuntimeManager.emit('beforeswap', eventDetail({ content: navigationState, fromCache: true }));
+
             const updateDOM = () => {
-               try {
-                  morphdom(targetContainer, '<div>' + navigationState.content + '</div>', {
-                     childrenOnly: true
-                  });
-               } catch {
-                  targetContainer.innerHTML = navigationState.content;
-               }
+               const element = RuntimeManager.swapContent(targetContainer, navigationState.content);
+               RuntimeManager.swapFragments(fragments);
+               return element;
             }
 
             const completedDOMUpdate = () => {
+               // --- Put the window and marked containers back where the user left them ---
+               if (navigationState.scroll) {
+                  RuntimeManager.restoreScroll(navigationState.scroll);
+               }
+
+               RuntimeManager.resumeScrollTracking();
+               RuntimeManager.updateActiveLinks();
+
+               // --- Tell assistive technology the page changed ---
+               RuntimeManager.completeNavigationA11y(targetContainer, location.hash);
+
+               RuntimeManager.emit('afterswap', eventDetail({ element: targetContainer, fromCache: true }));
+
                // --- Clear old executed scripts cache ---
                RuntimeManager.clearEffects();
                RuntimeManager.clearExecutedScripts();
 
                // --- Execute any inline scripts and styles in the restored content ---
-               RuntimeManager.runAll();
+               const scriptsLoaded = RuntimeManager.runAll();
 
                // --- Restart auto-reload timer if needed ---
                if (typeof navigationState.reloadTime !== "undefined") {
                   setTimeout(phpspa.reloadComponent, navigationState.reloadTime);
                }
 
-               RuntimeManager.emit('load', {
+               RuntimeManager.emit('load', eventDetail({
                   route: navigationState.url,
                   success: true,
                   error: false
+               }));
+
+               // --- Settle pending phpspa.back()/forward() promises ---
+               scriptsLoaded.then(() => {
+                  RuntimeManager.emit('scriptsloaded', eventDetail({ route: navigationState.url }));
+
+                  RuntimeManager.settleTraversal({
+                     success: true,
+                     url: navigationState.url,
+                     targetID: navigationState.targetID ?? null,
+                     title: document.title,
+                     status: null,
+                     fromCache: true,
+                  });
                });
             }
 
-            if (document.startViewTransition) {
-               document.startViewTransition(updateDOM).finished.then(completedDOMUpdate).catch((reason) => {
-                  RuntimeManager.emit('load', {
-                     route: location.href,
+            const transition = RuntimeManager.runTransition(updateDOM, {
+               types: RuntimeManager.transitionTypes(direction, navigationState.transition),
+               element: targetContainer,
+               isStale: () => RuntimeManager.isStaleNavigation(generation),
+            });
+
+            if (transition) {
+               transition.then((updated) => {
+                  if (updated) {
+                     completedDOMUpdate();
+                     return;
+                  }
+
+                  // --- A newer navigation owns the page ---
+                  RuntimeManager.settleTraversal({
                      success: false,
-                     error: reason || 'Unknown error during view transition',
+                     aborted: true,
+                     url: location.href,
+                     targetID: navigationState.targetID ?? null,
+                     title: document.title,
+                     status: null,
+                     fromCache: true,
+                     error: "Navigation was superseded",
+                  });
+               }).catch((reason) => {
+                  RuntimeManager.resumeScrollTracking();
+                  RuntimeManager.settleTraversal({
+                     success: false,
+                     url: location.href,
+                     targetID: navigationState.targetID ?? null,
+                     title: document.title,
+                     status: null,
+                     fromCache: true,
+                     error: String(reason || 'Unknown error during view transition'),
                   });
+
+                  RuntimeManager.emit('load', eventDetail({
+                     success: false,
+                     error: reason || 'Unknown error during view transition',
+                  }));
                });
             } else {
-               updateDOM();
                completedDOMUpdate();
             }
 
          } else {
-            // --- No valid state found - navigate to current URL to refresh ---
-            phpspa.navigate(location.toString(), "replace");
+            // --- No valid state found - navigate to current URL to refresh (guards already ran) ---
+            phpspa.navigate(location.toString(), { mode: "replace", skipGuards: true })
+               .then((result) => {
+                  RuntimeManager.resumeScrollTracking();
+                  RuntimeManager.settleTraversal(result);
+               });
          }
-      });
+      }
    })();
 
    /**
@@ -1128,288 +1525,872 @@
     */
    class phpspa {
       /**
-       * Navigates to a given URL using PHPSPA's custom navigation logic.
-       * Fetches the content via a custom HTTP method, updates the DOM, manages browser history,
-       * emits lifecycle events, and executes inline scripts.
+       * The runtime options currently in effect, as a frozen copy.
+       * Change them with `phpspa.configure()`.
        *
-       * @param {string|URL} url - The URL or path to navigate to.
-       * @param {"push"|"replace"} [state="push"] - Determines whether to push or replace the browser history state.
+       * @type {Readonly<Object>}
        *
-       * @fires phpspa#beforeload - Emitted before loading the new route.
-       * @fires phpspa#load - Emitted after attempting to load the new route, with success or error status.
+       * @example
+       * if (phpspa.config.showProgressBar) { ... }
        */
-      static navigate(url, state = "push") {
-         url = url instanceof URL ? url : new URL(url, location.href);
+      static get config() {
+         return Object.freeze({ ...RuntimeManager.config, headers: { ...RuntimeManager.config.headers } });
+      }
 
-         // --- Emit beforeload event for loading indicators ---
-         RuntimeManager.emit("beforeload", { route: url });
+      /**
+       * Sets runtime options. Options given here win over server-provided defaults from
+       * `<meta name="phpspa-config">` and `data-phpspa-*` attributes on `<html>`.
+       * Unknown options and values of the wrong type are ignored with a warning.
+       *
+       * @param {{
+       *    viewTransitions?: boolean,
+       *    scroll?: boolean,
+       *    scrollOffset?: number|Function,
+       *    smoothScroll?: boolean,
+       *    headers?: Object<string, string>,
+       *    executeScripts?: boolean,
+       *    announceNavigation?: boolean,
+       *    manageFocus?: boolean,
+       *    activeClass?: string,
+       *    showProgressBar?: boolean,
+       *    progressBarDelay?: number,
+       *    requestTimeout?: number,
+       *    retries?: number,
+       *    retryDelay?: number,
+       *    cacheLimit?: number,
+       *    cacheMaxAge?: number,
+       *    cacheStaleWhileRevalidate?: number,
+       *    prefetchTTL?: number,
+       *    prefetchHoverDelay?: number,
+       *    csrfHeader?: string,
+       *    stateDebounce?: number
+       * }} options - The options to change:
+       *    - `viewTransitions`: wrap content swaps in `document.startViewTransition()` when supported
+       *    - `scroll`: scroll to the top (or to the URL hash) after navigating, unless a navigation says otherwise
+       *    - `scrollOffset`: space (in px) kept above hash targets, e.g. a sticky header, or a function returning it
+       *    - `smoothScroll`: scroll smoothly for same-page hash links, unless the user prefers reduced motion
+       *    - `headers`: extra headers sent with every runtime request
+       *    - `executeScripts`: run scripts found in component content
+       *    - `announceNavigation`: read route changes out to screen readers
+       *    - `manageFocus`: move focus into the updated content after navigating
+       *    - `activeClass`: class(es) added to links matching the current URL
+       *    - `showProgressBar`, `progressBarDelay`: top progress bar, and how long (in ms) a request waits before showing it
+       *    - `requestTimeout`: ms before a request is aborted, `0` disables it
+       *    - `retries`, `retryDelay`: retries of failed GET requests, and the base backoff delay in ms
+       *    - `cacheLimit`, `cacheMaxAge`, `cacheStaleWhileRevalidate`: navigation cache size and TTLs in ms
+       *    - `prefetchTTL`, `prefetchHoverDelay`: how long a prefetch counts as fresh, and the hover intent delay in ms
+       *    - `csrfHeader`: header carrying the `<meta name="csrf-token">` token, `""` disables it
+       *    - `stateDebounce`: ms to wait for more `setState()` calls before sending them, `0` batches within a tick
+       * @returns {Readonly<Object>} The resulting `phpspa.config`.
+       *
+       * @example
+       * phpspa.configure({ showProgressBar: true, requestTimeout: 10000 });
+       */
+      static configure(options) {
+         RuntimeManager.applyConfig(options, "phpspa.configure()");
+         return phpspa.config;
+      }
 
-         // --- Fetch content from the server with PhpSPA headers ---
-         fetch(url, {
-            headers: {
-               "X-Requested-With": "PHPSPA_REQUEST",
-               "X-Phpspa-Target": "navigate",
-            },
-            mode: "same-origin",
-            redirect: "follow",
-            keepalive: true,
-         })
-            .then((response) => {
-               response
-                  .text()
-                  .then((responseText) => {
-                     let responseData;
-
-                     // --- Try to parse JSON response, fallback to raw text ---
-                     if (responseText && responseText.trim().startsWith("{")) {
-                        try {
-                           responseData = JSON.parse(responseText);
-                        } catch (parseError) {
-                           responseData = responseText;
-                        }
-                     } else {
-                        responseData = responseText || ""; // --- Handle empty responses ---
-                     }
+      /**
+       * Interceptors run for every runtime request: navigations, prefetches, `setState()`,
+       * component reloads and `__call()`.
+       *
+       * A request interceptor receives `{ url, init, source }` and may return a new one.
+       * A response interceptor receives `(response, request)` and may return a new `Response`.
+       * Both may be async. `use()` returns a function that removes the interceptor.
+       *
+       * @type {{
+       *    request: { use: (handler: (request: Object) => Object|void) => Function },
+       *    response: { use: (handler: (response: Response, request: Object) => Response|void) => Function }
+       * }}
+       *
+       * @example
+       * phpspa.interceptors.request.use(({ init }) => {
+       *    init.headers["X-Locale"] = document.documentElement.lang;
+       * });
+       */
+      static get interceptors() {
+         return {
+            request: { use: RuntimeManager.interceptors.request.use },
+            response: { use: RuntimeManager.interceptors.response.use },
+         };
+      }
 
-                     processResponse(responseData);
-                  })
-                  .catch((error) => handleError(error));
-            })
-            .catch((error) => handleError(error));
+      /**
+       * Registers a plugin. Every hook is optional, and a plugin registered twice is only added once.
+       * A function is taken as the plugin's `setup`.
+       *
+       * @param {Function|{
+       *    name?: string,
+       *    setup?: (phpspa: typeof phpspa) => Function|void,
+       *    request?: (request: Object) => Object|void,
+       *    response?: (response: Response, request: Object) => Response|void,
+       *    parse?: (data: string|Object, response: Response) => string|Object|void,
+       *    swap?: (element: HTMLElement, content: string, swap: string) => boolean|void,
+       *    afterSwap?: (element: HTMLElement, swap: string) => void,
+       *    morph?: Object<string, Function>,
+       *    beforeScript?: (script: HTMLScriptElement, container: HTMLElement) => boolean|void,
+       *    beforeHistory?: (entry: { method: "push"|"replace", state: Object, title: string, url: string }) => boolean|void,
+       *    attributes?: Object<string, (element: HTMLElement, value: string) => void>
+       * }} plugin - The plugin:
+       *    - `name`: used in error messages
+       *    - `setup`: called once when registered, may return a cleanup function for removal
+       *    - `request`, `response`: request and response interceptors (see `phpspa.interceptors`)
+       *    - `parse`: transform a parsed response body, the envelope or text, before it is used
+       *    - `swap`: return true after updating the element yourself, e.g. with an animation
+       *    - `afterSwap`: called after every element swap
+       *    - `morph`: morphdom callbacks such as `onBeforeElUpdated`; returning false skips the node
+       *    - `beforeScript`: return false to keep a component script from running
+       *    - `beforeHistory`: change a navigation's history entry before it is written, or return false to skip it
+       *    - `attributes`: handlers for `data-phpspa-<name>` attributes, keyed by name. They run for
+       *       every matching element on the page and in swapped content, and again when the value changes.
+       * @returns {Function} A function that removes the plugin.
+       *
+       * @example
+       * phpspa.use({
+       *    name: "analytics",
+       *    setup: (phpspa) => phpspa.on("load", ({ route }) => track(route)),
+       *    attributes: {
+       *       track: (element, value) => element.addEventListener("click", () => track(value)),
+       *    },
+       * });
+       */
+      static use(plugin) {
+         if (typeof plugin === "function") {
+            if (!RuntimeManager.functionPlugins.has(plugin)) {
+               RuntimeManager.functionPlugins.set(plugin, { setup: plugin });
+            }
 
-         /**
-          * Handles errors that occur during navigation requests
-          * @param {Error} error - The error object from the failed request
-          */
-         function handleError(error) {
-            // --- Check if the error has a response body (HTTP 4xx/5xx errors) ---
-            if (error.response) {
-               error.response
-                  .text()
-                  .then((fallbackResponse) => {
-                     let errorData;
-
-                     try {
-                        // --- Attempt to parse error response as JSON ---
-                        errorData = fallbackResponse.trim().startsWith("{")
-                           ? JSON.parse(fallbackResponse)
-                           : fallbackResponse;
-                     } catch (parseError) {
-                        // --- If parsing fails, use raw text ---
-                        errorData = fallbackResponse;
-                     }
+            plugin = RuntimeManager.functionPlugins.get(plugin);
+         }
 
-                     processResponse(errorData || "");
+         if (RuntimeManager.plugins.has(plugin)) {
+            return RuntimeManager.plugins.get(plugin);
+         }
 
-                     RuntimeManager.emit("load", {
-                        route: url?.toString() || url,
-                        success: false,
-                        error: error.message || "Server returned an error",
-                        data: errorData,
-                     });
-                  })
-                  .catch(() => {
-                     processResponse("");
+         const unsubscribers = [];
+         let cleanup;
 
-                     // --- Failed to read error response body ---
-                     RuntimeManager.emit("load", {
-                        route: url?.toString() || url,
-                        success: false,
-                        error: error.message || "Failed to read error response",
-                     });
-                  });
-            } else {
-               processResponse("");
+         if (typeof plugin.request === "function") {
+            unsubscribers.push(RuntimeManager.interceptors.request.use((request) => plugin.request(request)));
+         }
 
-               // --- Network error, same-origin issue, or other connection problems ---
-               RuntimeManager.emit("load", {
-                  route: url?.toString() || url,
-                  success: false,
-                  error: error.message || "No connection to server",
-               });
-            }
+         if (typeof plugin.response === "function") {
+            unsubscribers.push(RuntimeManager.interceptors.response.use((response, request) => plugin.response(response, request)));
          }
 
-         /**
-          * Processes the server response and updates the DOM
-          * @param {string|Object} responseData - The processed response data
-          */
-         function processResponse(responseData) {
-            // --- Update document title if provided ---
-            if (String(responseData?.title).length > 0) {
-               document.title = responseData.title;
-            }
+         const remove = () => {
+            if (!RuntimeManager.plugins.has(plugin)) return;
 
-            // --- Find target element for content replacement ---
-            const targetElement =
-               document.getElementById(responseData?.targetID) ??
-               document.getElementById(history.state?.targetID) ??
-               document.body;
+            RuntimeManager.plugins.delete(plugin);
+            unsubscribers.forEach((unsubscribe) => unsubscribe());
 
-            if (responseData.targetID) {
-               RuntimeManager.currentRoutes[responseData.targetID] = {
-                  route: url,
-                  exact: responseData.exact,
-                  defaultContent: RuntimeManager.currentRoutes[responseData.targetID]?.defaultContent ?? (document.getElementById(responseData.targetID)?.innerHTML || '')
+            if (typeof cleanup === "function") {
+               try {
+                  cleanup();
+               } catch (error) {
+                  console.error(`Error in ${RuntimeManager.pluginName(plugin)} cleanup:`, error);
                }
             }
+         };
 
-            const currentRoutes = RuntimeManager.currentRoutes;
-
-            for (const targetID in currentRoutes) {
-               if (!Object.hasOwn(currentRoutes, targetID)) continue;
+         RuntimeManager.plugins.set(plugin, remove);
 
-               const targetInfo = currentRoutes[targetID];
+         cleanup = RuntimeManager.callPlugin(plugin, "setup", phpspa);
 
-               // --- If route is exact and the route target ID is not equal to the navigated route target ID ---
-               // --- Then the document URL has changed ---
-               // --- That is they are navigating away ---
-               // --- And any route with exact === true must go back to its default content ---
-               if (targetInfo.exact === true && targetID !== responseData?.targetID) {
-                  let currentHTML = document.getElementById(targetID)
-                  if (currentHTML) {
-                     try {
-                        morphdom(currentHTML, '<div>' + targetInfo.defaultContent + '</div>', {
-                           childrenOnly: true
-                        });
-                     } catch {
-                        currentHTML.innerHTML = targetInfo.defaultContent;
-                     }
-                  }
+         // --- Elements already on the page get the new attribute handlers too ---
+         if (document.readyState !== "loading") {
+            RuntimeManager.applyAttributeHandlers(document.body);
+         }
 
-                  delete currentRoutes[targetID];
-               }
-            }
+         return remove;
+      }
 
-            // --- Update content ---
-            const updateDOM = () => {
-               try {
-                  morphdom(targetElement, '<div>' + responseData?.content || responseData + '</div>', {
-                     childrenOnly: true
+      /**
+       * Navigates to a given URL using PHPSPA's custom navigation logic.
+       * Fetches the content via a custom HTTP method, updates the DOM, manages browser history,
+       * emits lifecycle events, and executes inline scripts.
+       *
+       * The returned promise never rejects. It resolves once the new content is on screen
+       * and its scripts and effects have run, or with `success: false` when the navigation
+       * failed, was blocked by a guard, or was superseded by another one.
+       *
+       * @param {string|URL} url - The URL or path to navigate to.
+       * @param {"push"|"replace"|{
+       *    mode?: "push"|"replace",
+       *    target?: string,
+       *    swap?: string,
+       *    transition?: string|string[],
+       *    scroll?: boolean,
+       *    headers?: Object<string, string>,
+       *    signal?: AbortSignal,
+       *    method?: string,
+       *    body?: FormData,
+       *    skipGuards?: boolean
+       * }} [options="push"] - The history mode, or an options object:
+       *    - `mode`: push a new history entry (default) or replace the current one
+       *    - `target`: ID of the element to render into, instead of the one named by the response
+       *    - `swap`: how to apply the content, instead of the response's `swap`: `morph` (default), `innerHTML`,
+       *       `outerHTML`, `beforeend`, `afterbegin`, `beforebegin`, `afterend` or `none`
+       *    - `transition`: view transition type(s) to use instead of `forward`; the response's `transition` is added
+       *    - `scroll`: scroll to the top (or to the URL hash) after rendering, defaults to true
+       *    - `headers`: extra request headers, such requests bypass the navigation cache
+       *    - `signal`: aborts the navigation
+       *    - `method`, `body`: used for form submissions
+       *    - `skipGuards`: bypass `beforeNavigate` guards
+       * @returns {Promise<{
+       *    success: boolean,
+       *    url: string,
+       *    targetID: string|null,
+       *    title: string,
+       *    status: number|null,
+       *    fromCache: boolean,
+       *    error?: string,
+       *    blocked?: boolean,
+       *    aborted?: boolean,
+       *    offline?: boolean,
+       *    timeout?: boolean
+       * }>}
+       *
+       * @fires phpspa#beforeload - Emitted before loading the new route.
+       * @fires phpspa#load - Emitted after attempting to load the new route, with success or error status.
+       * @fires phpspa#error - Emitted for 4xx/5xx responses, network errors and timeouts.
+       *
+       * @example
+       * const { success, targetID } = await phpspa.navigate('/profile', { mode: 'replace' });
+       */
+      static navigate(url, options = "push") {
+         url = url instanceof URL ? url : new URL(url, location.href);
+         options = typeof options === "string" ? { mode: options } : { ...options };
+
+         const state = options.mode ?? "push";
+         const method = (options.method || "GET").toUpperCase();
+         const headers = options.headers ?? {};
+         const shouldScroll = (options.scroll ?? RuntimeManager.config.scroll) !== false;
+         const startTime = performance.now();
+
+         /**
+          * Builds the value the returned promise resolves with
+          *
+          * @param {Object} details - Fields describing the outcome
+          */
+         const result = (details) => ({
+            success: false,
+            url: url.toString(),
+            targetID: null,
+            title: document.title,
+            status: null,
+            fromCache: false,
+            ...details,
+         });
+
+         /**
+          * Builds the payload of a lifecycle event
+          *
+          * @param {Object} details - Event specific fields
+          */
+         const eventDetail = (details) => ({
+            route: url.toString(),
+            targetID: options.target ?? null,
+            source: "navigate",
+            timing: RuntimeManager.timing(startTime),
+            ...details,
+         });
+
+         // --- Links that only change the hash stay on this page, nothing needs fetching ---
+         // --- (navigating to the exact current URL in replace mode is a reload) ---
+         const hashOnly = method === "GET" && url.hash !== "" && !options.target &&
+            RuntimeManager.isSameDocument(url, location.href) &&
+            (url.href !== location.href || state === "push");
+
+         if (hashOnly) {
+            RuntimeManager.navigateToHash(url, {
+               mode: url.href === location.href ? "replace" : state,
+               scroll: shouldScroll,
+            });
+
+            return Promise.resolve(result({
+               success: true,
+               targetID: RuntimeManager.currentState?.targetID ?? null,
+            }));
+         }
+
+         // --- Ask guards first, the navigation only starts once they all allow it ---
+         if (!options.skipGuards && RuntimeManager.hasGuards()) {
+            return RuntimeManager.runGuards({
+               url,
+               from: RuntimeManager.currentURL,
+               type: state,
+               method,
+            }).then((allowed) => allowed
+               ? phpspa.navigate(url, { ...options, skipGuards: true })
+               : result({ blocked: true, error: "Navigation blocked by a guard" }));
+         }
+
+         return new Promise((settle) => {
+            // --- Listeners can cancel before anything in flight is aborted ---
+            const proceed = RuntimeManager.emit("beforeload", eventDetail({
+               targetID: options.target ?? history.state?.targetID ?? null,
+            }));
+
+            if (!proceed) {
+               settle(result({ blocked: true, error: "Navigation cancelled by a beforeload listener" }));
+               return;
+            }
+
+            // --- Abort any navigation still in flight and tag this one ---
+            const { generation, signal } = RuntimeManager.beginNavigation();
+
+            // --- Mark the current target and the clicked link as busy until the navigation settles ---
+            const finishLoading = RuntimeManager.startLoading([
+               document.getElementById(options.target ?? history.state?.targetID),
+               RuntimeManager.currentTrigger(),
+            ]);
+
+            const resolve = (value) => {
+               finishLoading();
+               settle(value);
+            };
+
+            if (options.signal) {
+               if (options.signal.aborted) RuntimeManager.abortNavigation();
+
+               options.signal.addEventListener("abort", () => {
+                  if (!RuntimeManager.isStaleNavigation(generation)) RuntimeManager.abortNavigation();
+               }, { once: true });
+            }
+
+            // --- Serve from the response cache when possible (plain GET only) ---
+            const cacheable = method === "GET" && Object.keys(headers).length === 0;
+            const cached = cacheable ? RuntimeManager.readCache(url, options.target) : null;
+
+            if (cached) {
+               processResponse(cached.data, { fromCache: true });
+
+               // --- Fresh entries need no request, stale ones are revalidated in the background ---
+               if (cached.fresh) return;
+            }
+
+            // --- Don't wait for a request that can't succeed ---
+            if (!cached && navigator.onLine === false) {
+               handleError(new TypeError("No connection to server"));
+               return;
+            }
+
+            // --- Fetch content from the server with PhpSPA headers (shared with concurrent requests) ---
+            RuntimeManager.fetchNavigation(url, { signal, method, body: options.body, headers, target: options.target })
+               .then(({ data, response }) => {
+                  // --- A newer navigation has started, drop this response ---
+                  if (RuntimeManager.isStaleNavigation(generation)) {
+                     abort("Navigation was superseded");
+                     return;
+                  }
+
+                  // --- Record where the server redirected to, keeping the requested fragment ---
+                  if (response.redirected && response.url) {
+                     const finalURL = new URL(response.url);
+                     if (!finalURL.hash) finalURL.hash = url.hash;
+                     url = finalURL;
+                  }
+
+                  // --- A new build was deployed, load it with a real page load instead of mixing assets ---
+                  if (RuntimeManager.isOutdated(response)) {
+                     resolve(result({ status: response.status, error: "A new version was deployed, reloading the page" }));
+
+                     // --- The server already handled the submission, reload the current page rather than GET its action URL ---
+                     if (method === "GET") location.assign(url.toString());
+                     else location.reload();
+                     return;
+                  }
+
+                  // --- A submission changed server state, cached pages may be outdated ---
+                  if (method !== "GET") phpspa.clearCache();
+
+                  if (!response.ok) {
+                     // --- A failed revalidation leaves the cached content on screen ---
+                     if (!cached) handleStatus(data, response);
+                  } else if (!cached) {
+                     processResponse(data, { status: response.status, response });
+                  } else if (JSON.stringify(data) !== JSON.stringify(cached.data)) {
+                     // --- Revalidation returned different content, repaint in place ---
+                     processResponse(data, { status: response.status, response, revalidated: true });
+                  }
+               })
+               .catch((error) => {
+                  // --- The cached content is already on screen ---
+                  if (!cached) handleError(error);
+               });
+
+            /**
+             * Settles a navigation that was aborted or superseded by a newer one
+             * @param {string} reason - Why the navigation stopped
+             */
+            function abort(reason) {
+               RuntimeManager.emit("abort", eventDetail({ reason }));
+               resolve(result({ aborted: true, error: reason }));
+            }
+
+            /**
+             * Handles errors that occur during navigation requests
+             * @param {Error} error - The error object from the failed request
+             */
+            function handleError(error) {
+               // --- Superseded navigations fail silently, the newer one owns the page ---
+               if (error?.name === "AbortError" || RuntimeManager.isStaleNavigation(generation)) {
+                  abort("Navigation was aborted");
+                  return;
+               }
+
+               RuntimeManager.emitRequestError("navigate", url, error, eventDetail({}));
+
+               // --- Offline: leave the page as it is and try again once the connection is back ---
+               if (navigator.onLine === false) {
+                  RuntimeManager.retryWhenOnline("navigate", () => {
+                     phpspa.navigate(url, { ...options, skipGuards: true });
                   });
-               } catch {
-                  targetElement.innerHTML = responseData?.content ? responseData.content : responseData;
+
+                  resolve(result({ offline: true, error: "No connection to server" }));
+
+                  RuntimeManager.emit("load", eventDetail({
+                     success: false,
+                     error: "No connection to server",
+                     offline: true,
+                  }));
+                  return;
                }
+
+               resolve(result({
+                  error: error.message || "Navigation failed",
+                  timeout: error.name === "TimeoutError",
+               }));
+
+               // --- Network error, timeout, same-origin issue, or other connection problems ---
+               // --- The current content stays on screen ---
+               RuntimeManager.emit("load", eventDetail({
+                  success: false,
+                  error: error.message || "No connection to server",
+               }));
             }
 
             /**
-             *  Prepare state data for browser history
+             * Handles 4xx/5xx responses. The error body is not a page, so it is only
+             * rendered when a status handler asks for it.
              *
-             * @type {{
-             *    url: string,
-             *    title: string,
-             *    targetID: string,
-             *    content: string,
-             *    exact: boolean,
-             *    defaultContent: string
-             * }}
+             * @param {string|Object} data - The parsed error response
+             * @param {Response} response - The error response
              */
-            const stateData = {
-               url: url?.toString() ?? url,
-               title: responseData?.title ?? document.title,
-               targetID: responseData?.targetID ?? targetElement.id,
-               content: responseData?.content ?? responseData,
-               exact: currentRoutes[responseData?.targetID].exact,
-               defaultContent: currentRoutes[responseData?.targetID].defaultContent,
-            }
+            function handleStatus(data, response) {
+               const error = `Server responded with ${response.status}`;
+
+               resolve(result({ status: response.status, error }));
 
-            // --- Include reload time if specified ---
-            if (typeof responseData.reloadTime !== "undefined") {
-               stateData.reloadTime = responseData.reloadTime;
+               RuntimeManager.emit("load", eventDetail({
+                  success: false,
+                  error,
+                  status: response.status,
+                  data,
+                  response,
+               }));
+
+               RuntimeManager.handleHttpError({
+                  ...eventDetail({}),
+                  url,
+                  data,
+                  response,
+                  render: (content = data) => {
+                     if (!RuntimeManager.isStaleNavigation(generation)) {
+                        processResponse(content, { status: response.status, response });
+                     }
+                  },
+               });
             }
 
-            const completedDOMUpdate = () => {
+            /**
+             * Processes the server response and updates the DOM
+             * @param {string|Object} responseData - The processed response data
+             * @param {{ revalidated?: boolean, status?: number|null, fromCache?: boolean, response?: Response|null }} [meta]
+             *    - `revalidated`: whether this repaints cached content already on screen
+             *    - `status`: HTTP status of the response
+             *    - `fromCache`: whether the content comes from the navigation cache
+             *    - `response`: the response the content was read from, null for cached content
+             */
+            function processResponse(responseData, { revalidated = false, status = null, fromCache = false, response = null } = {}) {
+               // --- An explicit target overrides the one named by the response ---
+               const responseTargetID = options.target ?? responseData?.targetID;
+               const swap = RuntimeManager.swapStrategy(options.swap ?? responseData?.swap);
+               const fragments = RuntimeManager.responseFragments(responseData);
+               const fragmentTargets = new Set(fragments.map(({ targetID }) => targetID));
+
+               // --- Appending the revalidated content would duplicate what the cached content added ---
+               if (revalidated && !RuntimeManager.replacesChildren(swap)) return;
+
+               // --- Listeners can inspect the content, or cancel the swap ---
+               const swapAllowed = RuntimeManager.emit("beforeswap", eventDetail({
+                  targetID: responseTargetID ?? null,
+                  content: responseData,
+                  response,
+                  status,
+                  fromCache,
+                  revalidated,
+               }));
+
+               if (!swapAllowed) {
+                  resolve(result({ status, fromCache, error: "Swap cancelled by a beforeswap listener" }));
+                  return;
+               }
 
-               // --- Update browser history ---
-               if (state === "push") {
-                  RuntimeManager.pushState(stateData, stateData.title, url);
-               } else if (state === "replace") {
-                  RuntimeManager.replaceState(stateData, stateData.title, url);
+               // --- Remember where the user was on the page being left ---
+               if (!revalidated) {
+                  RuntimeManager.saveScrollPosition();
+                  RuntimeManager.pauseScrollTracking();
                }
 
-               // --- Handle URL fragments (hash navigation) ---
-               const hashElement = document.getElementById(url?.hash?.substring(1));
+               // --- Update document title if provided ---
+               if (String(responseData?.title).length > 0) {
+                  document.title = responseData.title;
+               }
 
-               if (hashElement) {
-                  scroll({
-                     top: hashElement.offsetTop,
-                     left: hashElement.offsetLeft,
-                  });
-               } else {
-                  scroll(0, 0); // --- Scroll to top if no hash or element not found ---
+               // --- Find target element for content replacement ---
+               let targetElement =
+                  document.getElementById(responseTargetID) ??
+                  document.getElementById(history.state?.targetID) ??
+                  document.body;
+
+               if (responseTargetID) {
+                  // --- This navigation now owns the target, late setState/reload responses are dropped ---
+                  RuntimeManager.claimTarget(responseTargetID);
+
+                  RuntimeManager.currentRoutes[responseTargetID] = {
+                     route: url,
+                     exact: responseData.exact,
+                     defaultContent: RuntimeManager.currentRoutes[responseTargetID]?.defaultContent ?? (document.getElementById(responseTargetID)?.innerHTML || '')
+                  }
                }
 
+               // --- Every other component the response updates belongs to this route too ---
+               RuntimeManager.recordFragments(fragments, url);
 
-               // --- Clear old executed scripts cache ---
-               RuntimeManager.clearEffects();
-               RuntimeManager.clearExecutedScripts();
+               const currentRoutes = RuntimeManager.currentRoutes;
 
-               // --- Execute any inline scripts and styles in the new content ---
-               RuntimeManager.runAll();
+               for (const targetID in currentRoutes) {
+                  if (!Object.hasOwn(currentRoutes, targetID)) continue;
 
-               // --- Emit successful load event ---
-               RuntimeManager.emit("load", {
-                  route: url?.toString() || url,
-                  success: true,
-                  error: false,
-               });
+                  const targetInfo = currentRoutes[targetID];
+
+                  // --- If route is exact and the route target ID is not equal to the navigated route target ID ---
+                  // --- Then the document URL has changed ---
+                  // --- That is they are navigating away ---
+                  // --- And any route with exact === true must go back to its default content ---
+                  if (targetInfo.exact === true && targetID !== responseTargetID && !fragmentTargets.has(targetID)) {
+                     let currentHTML = document.getElementById(targetID)
+                     if (currentHTML) {
+                        RuntimeManager.swapContent(currentHTML, targetInfo.defaultContent);
+                     }
+
+                     delete currentRoutes[targetID];
+                  }
+               }
+
+               // --- Update content, together with any extra fragments in the same transition ---
+               const updateDOM = () => {
+                  targetElement = RuntimeManager.swapContent(targetElement, RuntimeManager.responseContent(responseData), swap);
+                  RuntimeManager.swapFragments(fragments);
+                  return targetElement;
+               }
+
+               /**
+                *  Prepare state data for browser history
+                *
+                * @type {{
+                *    url: string,
+                *    title: string,
+                *    targetID: string,
+                *    content: string,
+                *    exact: boolean,
+                *    defaultContent: string,
+                *    fragments?: Array<{ targetID: string, content: string, swap?: string, exact?: boolean }>
+                * }}
+                */
+               const stateData = {
+                  url: url?.toString() ?? url,
+                  title: responseData?.title ?? document.title,
+                  targetID: responseTargetID ?? targetElement.id,
+                  content: responseData?.content ?? responseData,
+                  exact: currentRoutes[responseTargetID]?.exact,
+                  defaultContent: currentRoutes[responseTargetID]?.defaultContent,
+               }
 
-               // --- Set up auto-reload if specified ---
+               // --- Include reload time if specified ---
                if (typeof responseData.reloadTime !== "undefined") {
-                  setTimeout(phpspa.reloadComponent, responseData.reloadTime);
+                  stateData.reloadTime = responseData.reloadTime;
                }
-            }
 
-            if (document.startViewTransition) {
-               document.startViewTransition(updateDOM).finished.then(completedDOMUpdate).catch((reason) => {
-                  RuntimeManager.emit('load', {
-                     route: url?.toString() || url,
-                     success: false,
-                     error: reason || 'Unknown error during view transition',
+               // --- Back/forward to this entry animates with the route's transition types too ---
+               if (responseData?.transition) {
+                  stateData.transition = responseData.transition;
+               }
+
+               const completedDOMUpdate = () => {
+                  // --- Appended or inserted content isn't in the response alone, so history records the result ---
+                  if (!RuntimeManager.replacesChildren(swap)) {
+                     stateData.content = document.getElementById(stateData.targetID)?.innerHTML ?? stateData.content;
+                  }
+
+                  // --- Record the extra fragments so back/forward restores every updated component ---
+                  if (fragments.length > 0) {
+                     stateData.fragments = RuntimeManager.recordedFragments(fragments);
+                  }
+
+                  // --- Update browser history ---
+                  if (revalidated) {
+                     // --- The entry for this URL was already written when the cached content was shown ---
+                     RuntimeManager.replaceState(stateData, stateData.title, url);
+                  } else if (state === "push") {
+                     RuntimeManager.pushState(stateData, stateData.title, url);
+                  } else if (state === "replace") {
+                     RuntimeManager.replaceState(stateData, stateData.title, url);
+                  }
+
+                  // --- Highlight the links of the new URL ---
+                  RuntimeManager.updateActiveLinks();
+
+                  // --- Handle URL fragments (hash navigation), but keep the user's position when revalidating ---
+                  if (!revalidated && shouldScroll) {
+                     if (RuntimeManager.scrollToHash(url.hash) === false) {
+                        scroll(0, 0); // --- Scroll to top if the hash element is not found ---
+                     }
+                  }
+
+                  if (!revalidated) {
+                     RuntimeManager.resumeScrollTracking();
+
+                     // --- Tell assistive technology the page changed ---
+                     RuntimeManager.completeNavigationA11y(targetElement, url.hash);
+                  }
+
+                  RuntimeManager.emit("afterswap", eventDetail({
+                     targetID: stateData.targetID,
+                     element: targetElement,
+                     response,
+                     status,
+                     fromCache,
+                     revalidated,
+                  }));
+
+                  // --- The cached visit already ran the scripts, emitted load and started the reload timer ---
+                  if (revalidated) return;
+
+                  // --- Clear old executed scripts cache ---
+                  RuntimeManager.clearEffects();
+                  RuntimeManager.clearExecutedScripts();
+
+                  // --- Execute any inline scripts and styles in the new content ---
+                  const scriptsLoaded = RuntimeManager.runAll();
+
+                  // --- Emit successful load event ---
+                  RuntimeManager.emit("load", eventDetail({
+                     targetID: stateData.targetID,
+                     success: true,
+                     error: false,
+                     status,
+                     response,
+                  }));
+
+                  // --- Set up auto-reload if specified ---
+                  if (typeof responseData.reloadTime !== "undefined") {
+                     setTimeout(phpspa.reloadComponent, responseData.reloadTime);
+                  }
+
+                  // --- Settle once external component scripts have run too ---
+                  scriptsLoaded.then(() => {
+                     RuntimeManager.emit("scriptsloaded", eventDetail({ targetID: stateData.targetID }));
+
+                     resolve(result({
+                        success: true,
+                        targetID: stateData.targetID,
+                        title: document.title,
+                        status,
+                        fromCache,
+                     }));
                   });
+               }
+
+               const transition = RuntimeManager.runTransition(updateDOM, {
+                  types: RuntimeManager.transitionTypes(options.transition ?? "forward", responseData?.transition),
+                  element: targetElement,
+                  isStale: () => RuntimeManager.isStaleNavigation(generation),
                });
-            } else {
-               updateDOM();
-               completedDOMUpdate();
+
+               if (transition) {
+                  transition.then((updated) => {
+                     if (updated) completedDOMUpdate();
+                     else abort("Navigation was superseded");
+                  }).catch((reason) => {
+                     // --- The navigation failed, so nothing is announced and focus stays where it is ---
+                     if (!revalidated) RuntimeManager.resumeScrollTracking();
+
+                     resolve(result({ error: String(reason || 'Unknown error during view transition') }));
+
+                     RuntimeManager.emit('load', eventDetail({
+                        targetID: stateData.targetID,
+                        success: false,
+                        error: reason || 'Unknown error during view transition',
+                     }));
+                  });
+               } else {
+                  completedDOMUpdate();
+               }
             }
-         }
+         });
       }
 
       /**
        * Navigates back in the browser history.
        * Uses the native browser history API.
+       *
+       * @returns {Promise<Object>} Resolves like `navigate()` once the previous entry is restored.
        */
       static back() {
-         history.back();
+         return RuntimeManager.traverseHistory(-1);
       }
 
       /**
        * Navigates forward in the browser's session history.
        * Uses the native browser history API.
+       *
+       * @returns {Promise<Object>} Resolves like `navigate()` once the next entry is restored.
        */
       static forward() {
-         history.forward();
+         return RuntimeManager.traverseHistory(1);
       }
 
       /**
        * Reloads the current page by navigating to the current URL using the "replace" history mode.
        * This does not add a new entry to the browser's history stack.
+       *
+       * @returns {Promise<Object>} Resolves like `navigate()`.
        */
       static reload() {
-         phpspa.navigate(location.toString(), "replace");
+         return phpspa.navigate(location.toString(), { mode: "replace", transition: "reload" });
       }
 
       /**
        * Registers a callback function to be executed when the specified event is triggered.
+       * For `beforeload` and `beforeswap`, returning `false` cancels the navigation or the swap.
        *
        * @param {string} event - The name of the event to listen for.
        * @param {Function} callback - The function to call when the event is triggered.
+       * @returns {Function} A function that removes the callback.
+       *
+       * @example
+       * const stop = phpspa.on('afterswap', ({ targetID, timing }) => console.log(targetID, timing.duration));
        */
       static on(event, callback) {
          if (!RuntimeManager.events[event]) {
             RuntimeManager.events[event] = [];
          }
          RuntimeManager.events[event].push(callback);
+
+         return () => phpspa.off(event, callback);
+      }
+
+      /**
+       * Removes a callback registered with `phpspa.on()` or `phpspa.once()`.
+       *
+       * @param {string} event - The event name.
+       * @param {Function} callback - The callback to remove.
+       */
+      static off(event, callback) {
+         const callbacks = RuntimeManager.events[event];
+
+         if (!callbacks) return;
+
+         const index = callbacks.findIndex((registered) => registered === callback || registered.listener === callback);
+
+         if (index !== -1) callbacks.splice(index, 1);
+      }
+
+      /**
+       * Registers a callback that runs the next time the event is triggered, then removes itself.
+       *
+       * @param {string} event - The name of the event to listen for.
+       * @param {Function} callback - The function to call when the event is triggered.
+       * @returns {Function} A function that removes the callback before it runs.
+       */
+      static once(event, callback) {
+         const wrapper = (payload) => {
+            phpspa.off(event, wrapper);
+            return callback(payload);
+         };
+
+         wrapper.listener = callback;
+
+         return phpspa.on(event, wrapper);
+      }
+
+      /**
+       * Registers a guard that runs before every navigation and browser back/forward.
+       * Returning `false` (or a promise resolving to `false`) cancels the navigation.
+       * A blocked back/forward restores the previous history position.
+       *
+       * @param {Function} guard - Receives `{ url, from, type, method }`, where `type` is "push", "replace" or "popstate".
+       * @returns {Function} A function that removes the guard.
+       *
+       * @example
+       * const stop = phpspa.beforeNavigate(({ url }) => confirm(`Leave for ${url.pathname}?`));
+       */
+      static beforeNavigate(guard) {
+         RuntimeManager.guards.add(guard);
+         return () => RuntimeManager.guards.delete(guard);
+      }
+
+      /**
+       * Registers JS animations for browsers without the View Transitions API. `leave` runs
+       * before the content is swapped, `enter` after it; each may return a promise to wait for.
+       * They are skipped when the user prefers reduced motion or `viewTransitions` is off.
+       *
+       * @param {{
+       *    leave?: (element: HTMLElement, types: string[]) => Promise<void>|void,
+       *    enter?: (element: HTMLElement, types: string[]) => Promise<void>|void
+       * }} hooks - Receive the target element and the transition types, e.g. `["back"]`.
+       * @returns {Function} A function that removes the hooks.
+       *
+       * @example
+       * phpspa.onTransition({
+       *    leave: (element) => element.animate({ opacity: [1, 0] }, 150).finished,
+       *    enter: (element) => element.animate({ opacity: [0, 1] }, 150).finished,
+       * });
+       */
+      static onTransition(hooks) {
+         RuntimeManager.transitionHooks.add(hooks);
+         return () => RuntimeManager.transitionHooks.delete(hooks);
+      }
+
+      /**
+       * Registers a handler for 4xx/5xx responses. Error responses never replace the
+       * content on screen by themselves; a handler can call `render()` to show the
+       * server's error body (or its own content) in place of the page.
+       *
+       * @param {number|string|Array<number|string>} status - Status codes, or classes such as "5xx".
+       * @param {Function} handler - Receives `{ status, source, url, data, response, render }`,
+       *    where `source` is "navigate", "state", "reload" or "call". `render` is not available for "call".
+       * @returns {Function} A function that removes the handler.
+       *
+       * @example
+       * phpspa.onStatus([401, 419], () => location.assign('/login'));
+       * phpspa.onStatus(404, ({ render }) => render());
+       */
+      static onStatus(status, handler) {
+         const keys = [].concat(status).map((code) => String(code).toLowerCase());
+
+         for (const key of keys) {
+            if (!RuntimeManager.statusHandlers.has(key)) {
+               RuntimeManager.statusHandlers.set(key, new Set());
+            }
+            RuntimeManager.statusHandlers.get(key).add(handler);
+         }
+
+         return () => keys.forEach((key) => RuntimeManager.statusHandlers.get(key)?.delete(handler));
       }
 
       /**
@@ -1427,129 +2408,136 @@
        * Updates the application state by sending a custom fetch request and updating the DOM accordingly.
        * Preserves the current scroll position during the update.
        *
+       * Calls made in the same tick (or within the `stateDebounce` option, in ms) are batched, and all calls
+       * of a batch share one promise. Once the server sends `X-Phpspa-State-Batch: 1`, a batch goes out as
+       * one request per component carrying every changed key, before that as one request per key.
+       *
        * @param {string} key - The key representing the state to update.
        * @param {string|array|object|null} value - The new value to set for the specified state key.
-       * @returns {Promise<void>} A promise that resolves when the state is updated successfully.
+       * @param {{ targets?: string|string[] }} [options]
+       *    - `targets`: IDs of the components to refresh, instead of every mounted one
+       * @returns {Promise<void>} A promise that resolves once every affected component was updated
+       *    and the effects of the changed keys have run. Rejects with the first error if any request fails.
        *
        * @example
        * phpspa.setState('user', { name: 'Alice' })
        *   .then(() => console.log('State updated!'))
        *   .catch(err => console.error('Failed to update state:', err));
+       *
+       * phpspa.setState('qty', 2, { targets: ['cart', 'cart-badge'] });
        */
-      static setState(key, value) {
-         return new Promise(async (resolve, reject) => {
-            const currentRoutes = RuntimeManager.currentRoutes;
-            const statePayload = JSON.stringify({ state: { key, value } });
-            const promises = [];
+      static setState(key, value, { targets } = {}) {
+         const batch = RuntimeManager.stateBatch ?? RuntimeManager.openStateBatch();
 
-            for (const targetID in currentRoutes) {
-               if (!Object.hasOwn(currentRoutes, targetID)) continue;
+         // --- The latest value of a key wins ---
+         batch.changes.delete(key);
+         batch.changes.set(key, value);
 
-               const { route } = currentRoutes[targetID];
+         if (targets === undefined || targets === null) {
+            batch.targets = null;
+         } else if (batch.targets) {
+            [].concat(targets).forEach((targetID) => batch.targets.add(targetID));
+         }
 
-               const prom = fetch(route, {
-                  headers: {
-                     "X-Requested-With": "PHPSPA_REQUEST",
-                     Authorization: `Bearer ${utf8ToBase64(statePayload)}`,
-                  },
-                  mode: "same-origin",
-                  redirect: "follow",
-                  keepalive: true,
-               });
-               promises.push(prom);
-            }
+         // --- A debounce waits for the last call in a burst ---
+         const { stateDebounce } = RuntimeManager.config;
 
-            const responses = await Promise.all(promises);
+         if (stateDebounce > 0) {
+            clearTimeout(batch.timer);
+            batch.timer = setTimeout(() => RuntimeManager.flushState(batch), stateDebounce);
+         }
 
-            responses.forEach(async (response) => {
-               try {
-                  const responseText = await response.text();
-                  let responseData;
-
-                  // --- Parse response as JSON if possible ---
-                  if (responseText && responseText.trim().startsWith("{")) {
-                     try {
-                        responseData = JSON.parse(responseText);
-                     } catch (parseError) {
-                        responseData = responseText;
-                     }
-                  } else {
-                     responseData = responseText || "";
-                  }
+         return batch.promise;
+      }
 
-                  resolve();
-                  updateContent(responseData);
-               } catch (error) {
-                  reject(error.message);
-                  handleStateError(error);
-               }
-            });
+      /**
+       * Fetches a route ahead of time so a later `navigate()` to it can render
+       * without waiting for the network. The response is stored in the navigation
+       * cache and used as fresh by the next navigation within the `prefetchTTL` option.
+       *
+       * Skipped for cross-origin URLs, the current page, and when the user has
+       * asked the browser to save data.
+       *
+       * @param {string|URL} url - The URL or path to prefetch.
+       * @returns {Promise<boolean>} Resolves with whether the route was prefetched.
+       *
+       * @example
+       * phpspa.prefetch('/dashboard');
+       */
+      static prefetch(url) {
+         url = url instanceof URL ? url : new URL(url, location.href);
 
+         if (
+            url.origin !== location.origin ||
+            RuntimeManager.cacheKey(url) === RuntimeManager.cacheKey(location) ||
+            !RuntimeManager.canPrefetch()
+         ) {
+            return Promise.resolve(false);
+         }
 
-            /**
-             * Handles errors during state update requests
-             * @param {Error} error - The error that occurred
-             */
-            function handleStateError(error) {
-               if (error.response) {
-                  error.response
-                     .text()
-                     .then((fallbackResponse) => {
-                        let errorData;
-
-                        try {
-                           errorData = fallbackResponse.trim().startsWith("{")
-                              ? JSON.parse(fallbackResponse)
-                              : fallbackResponse;
-                        } catch (parseError) {
-                           errorData = fallbackResponse;
-                        }
+         // --- Already prefetched or fresh in the cache ---
+         if (RuntimeManager.hasFreshCache(url)) {
+            return Promise.resolve(true);
+         }
 
-                        updateContent(errorData || "");
-                     })
-                     .catch(() => {
-                        updateContent("");
-                     });
-               } else {
-                  updateContent("");
-               }
-            }
+         return RuntimeManager.fetchNavigation(url, { prefetch: true }).then(() => true, () => false);
+      }
 
-            /**
-             * Updates the DOM content and restores scroll position
-             * @param {string|Object} responseData - The response data to process
-             */
-            function updateContent(responseData) {
-               // --- Update title if provided ---
-               if (String(responseData.title).length > 0) {
-                  document.title = responseData.title;
-               }
+      /**
+       * Submits a form through the SPA pipeline instead of a full page load.
+       * GET forms are serialized into the URL and navigated to, POST forms are
+       * sent as `FormData`. The submitter's `formaction` and `formmethod`
+       * override the form's own `action` and `method`.
+       *
+       * @param {HTMLFormElement} form - The form to submit.
+       * @param {HTMLButtonElement|HTMLInputElement|null} [submitter] - The button that submitted the form.
+       * @returns {Promise<Object>} Resolves like `navigate()`.
+       *
+       * @example
+       * phpspa.submit(document.querySelector('#search-form'));
+       */
+      static submit(form, submitter = null) {
+         const action = new URL(
+            submitter?.getAttribute("formaction") || form.getAttribute("action") || location.href,
+            location.href
+         );
+         const method = (submitter?.getAttribute("formmethod") || form.getAttribute("method") || "GET").toUpperCase();
+         const formData = new FormData(form);
+
+         // --- The submitter's name/value is part of the form data set ---
+         if (submitter?.name) {
+            formData.append(submitter.name, submitter.value);
+         }
 
-               // --- Find target element and update content ---
-               const targetElement =
-                  document.getElementById(responseData?.targetID) ??
-                  document.getElementById(history.state?.targetID) ??
-                  document.body;
+         if (method === "GET") {
+            action.search = new URLSearchParams(formData).toString();
+            return phpspa.navigate(action, { mode: "push" });
+         }
 
-               const updateDOM = () => {
-                  try {
-                     morphdom(targetElement, '<div>' + responseData?.content || responseData + '</div>', {
-                        childrenOnly: true
-                     });
-                  } catch {
-                     targetElement.innerHTML = responseData?.content ? responseData.content : responseData;
-                  }
-               };
+         return phpspa.navigate(action, { mode: "push", method, body: formData });
+      }
 
-               const completedDOMUpdate = () => {
-                  // --- Trigger effects for the changed key ---
-                  RuntimeManager.triggerEffects(key, value);
-               };
+      /**
+       * Removes cached navigation responses so the next navigation fetches from the server.
+       *
+       * @param {string|URL} [url] - Only clear entries for this URL. Clears everything when omitted.
+       *
+       * @example
+       * phpspa.clearCache('/cart');
+       */
+      static clearCache(url) {
+         if (typeof url === "undefined") {
+            RuntimeManager.responseCache.clear();
+            return;
+         }
 
-               updateDOM();
-               completedDOMUpdate();
-            }
-         });
+         url = url instanceof URL ? url : new URL(url, location.href);
+
+         const prefix = RuntimeManager.cacheKey(url, "");
+
+         for (const key of [...RuntimeManager.responseCache.keys()]) {
+            if (key.startsWith(prefix)) RuntimeManager.responseCache.delete(key);
+         }
       }
 
       /**
@@ -1557,34 +2545,55 @@
        * Useful for refreshing dynamic content without full page navigation.
        */
       static reloadComponent() {
+         const generation = RuntimeManager.nextGeneration();
+         const startTime = performance.now();
+         const finishLoading = RuntimeManager.startLoading([
+            document.getElementById(history.state?.targetID),
+         ]);
+
+         /**
+          * Builds the payload of a lifecycle event
+          *
+          * @param {Object} details - Event specific fields
+          */
+         const eventDetail = (details) => ({
+            route: location.toString(),
+            targetID: history.state?.targetID ?? null,
+            source: "reload",
+            timing: RuntimeManager.timing(startTime),
+            ...details,
+         });
 
          // --- Fetch current page content ---
-         fetch(location.toString(), {
+         RuntimeManager.sendRequest(location.toString(), {
             headers: {
+               ...RuntimeManager.config.headers,
                "X-Requested-With": "PHPSPA_REQUEST",
             },
             mode: "same-origin",
             redirect: "follow",
             keepalive: true,
-         })
+         }, { source: "reload" })
             .then((response) => {
                response
                   .text()
                   .then((responseText) => {
-                     let responseData;
-
                      // --- Parse response ---
-                     if (responseText && responseText.trim().startsWith("{")) {
-                        try {
-                           responseData = JSON.parse(responseText);
-                        } catch (parseError) {
-                           responseData = responseText;
-                        }
-                     } else {
-                        responseData = responseText || "";
+                     const responseData = RuntimeManager.parseResponse(responseText, response);
+
+                     // --- A new build was deployed, reload the whole page to pick up its assets ---
+                     if (RuntimeManager.isOutdated(response)) {
+                        finishLoading();
+                        location.assign(location.href);
+                        return;
+                     }
+
+                     if (!response.ok) {
+                        handleComponentStatus(responseData, response);
+                        return;
                      }
 
-                     updateComponentContent(responseData);
+                     updateComponentContent(responseData, response);
                   })
                   .catch((error) => {
                      handleComponentError(error);
@@ -1599,35 +2608,71 @@
           * @param {Error} error - The error that occurred
           */
          function handleComponentError(error) {
-            if (error.response) {
-               error.response
-                  .text()
-                  .then((fallbackResponse) => {
-                     let errorData;
-
-                     try {
-                        errorData = fallbackResponse.trim().startsWith("{")
-                           ? JSON.parse(fallbackResponse)
-                           : fallbackResponse;
-                     } catch (parseError) {
-                        errorData = fallbackResponse;
-                     }
+            // --- Network failure or timeout: keep the current content and keep polling ---
+            finishLoading();
+            RuntimeManager.emitRequestError("reload", location.href, error, eventDetail({}));
+            scheduleNextReload();
+         }
 
-                     updateComponentContent(errorData || "");
-                  })
-                  .catch(() => {
-                     updateComponentContent("");
-                  });
+         /**
+          * Handles 4xx/5xx responses, the component keeps its content unless a status handler renders it
+          * @param {string|Object} responseData - The parsed error response
+          * @param {Response} response - The error response
+          */
+         function handleComponentStatus(responseData, response) {
+            let rendered = false;
+
+            finishLoading();
+
+            RuntimeManager.handleHttpError({
+               ...eventDetail({}),
+               url: new URL(location.href),
+               data: responseData,
+               response,
+               render: (content = responseData) => {
+                  rendered = true;
+                  updateComponentContent(content, response);
+               },
+            });
+
+            // --- A rendered response schedules its own reload ---
+            if (!rendered) scheduleNextReload();
+         }
+
+         /**
+          * Keeps polling after a failed reload, waiting for the connection when offline
+          */
+         function scheduleNextReload() {
+            const reloadTime = history.state?.reloadTime;
+
+            if (typeof reloadTime === "undefined") return;
+
+            if (navigator.onLine === false) {
+               RuntimeManager.retryWhenOnline("reload", phpspa.reloadComponent);
             } else {
-               updateComponentContent("");
+               setTimeout(phpspa.reloadComponent, reloadTime);
             }
          }
 
          /**
           * Updates the component content and handles auto-reload
           * @param {string|Object} responseData - The response data
+          * @param {Response} response - The response the data was read from
           */
-         function updateComponentContent(responseData) {
+         function updateComponentContent(responseData, response) {
+            finishLoading();
+
+            // --- Drop late responses once a newer navigation owns the target ---
+            const targetID = responseData?.targetID ?? history.state?.targetID;
+
+            if (RuntimeManager.isTargetSuperseded(targetID, generation)) return;
+
+            // --- A cancelled swap keeps the content, polling goes on ---
+            if (!RuntimeManager.emit("beforeswap", eventDetail({ targetID, content: responseData, response, status: response.status }))) {
+               scheduleNextReload();
+               return;
+            }
+
             // --- Update title if provided ---
             if (
                typeof responseData?.title === "string" ||
@@ -1637,28 +2682,31 @@
             }
 
             // --- Find target and update content ---
-            const targetElement =
+            let targetElement =
                document.getElementById(responseData?.targetID) ??
                document.getElementById(history.state?.targetID) ??
                document.body;
 
+            // --- Polling must not get in the way of the user typing ---
             const updateDOM = () => {
-               try {
-                  morphdom(targetElement, '<div>' + responseData?.content || responseData + '</div>', {
-                     childrenOnly: true
-                  });
-               } catch {
-                  targetElement.innerHTML = responseData?.content || responseData;
-               }
+               targetElement = RuntimeManager.swapContent(targetElement, RuntimeManager.responseContent(responseData), responseData?.swap, { preserveFocus: true });
+               RuntimeManager.swapFragments(RuntimeManager.responseFragments(responseData), { preserveFocus: true });
             };
 
             const completedDOMUpdate = () => {
+               // --- The component may have rendered new links ---
+               RuntimeManager.updateActiveLinks();
+
+               RuntimeManager.emit("afterswap", eventDetail({ targetID, element: targetElement, response, status: response.status }));
+
                // --- Clear old executed scripts cache ---
                RuntimeManager.clearEffects();
                RuntimeManager.clearExecutedScripts();
 
                // --- Execute any inline scripts and styles in the new content ---
-               RuntimeManager.runAll();
+               RuntimeManager.runAll().then(() => {
+                  RuntimeManager.emit("scriptsloaded", eventDetail({ targetID }));
+               });
 
                // --- Set up next auto-reload if specified ---
                if (typeof responseData.reloadTime !== "undefined") {
@@ -1682,33 +2730,36 @@
       static async __call(token, ...args) {
          const currentUrl = new URL(location.toString());
          const callPayload = JSON.stringify({ __call: { token, args } });
+         const finishLoading = RuntimeManager.startLoading([RuntimeManager.currentTrigger()]);
 
          try {
-            const response = await fetch(currentUrl, {
+            // --- Server calls may have side effects, so they are never retried ---
+            const response = await RuntimeManager.sendRequest(currentUrl, {
                headers: {
+                  ...RuntimeManager.config.headers,
                   "X-Requested-With": "PHPSPA_REQUEST",
                   Authorization: `Bearer ${utf8ToBase64(callPayload)}`,
                },
                mode: "same-origin",
                redirect: "follow",
                keepalive: true,
-            });
+            }, { source: "call", retry: false });
 
             const responseText = await response.text();
-            let responseData;
+            let responseData = RuntimeManager.parseResponse(responseText, response);
 
-            // --- Parse and decode response ---
-            if (responseText && responseText.trim().startsWith("{")) {
+            // --- Decode the function's return value ---
+            if (responseData?.response) {
                try {
-                  responseData = JSON.parse(responseText);
-                  responseData = responseData?.response
-                     ? JSON.parse(responseData.response)
-                     : responseData;
+                  responseData = JSON.parse(responseData.response);
                } catch (parseError) {
                   responseData = responseText;
                }
-            } else {
-               responseData = responseText || "";
+            }
+
+            // --- The body is still returned, but status handlers get a chance to react (e.g. expired sessions) ---
+            if (!response.ok) {
+               RuntimeManager.handleHttpError({ source: "call", url: currentUrl, data: responseData, response });
             }
 
             return responseData;
@@ -1739,6 +2790,8 @@
                // --- Network errors or other issues ---
                return "";
             }
+         } finally {
+            finishLoading();
          }
       }
    }
@@ -1767,277 +2820,2911 @@
       static executedStyles = new Set();
 
       /**
-       * A static cache object that stores processed script content to avoid redundant processing.
-       * Used to improve performance by caching scripts that have already been processed or compiled.
+       * A static cache object that stores processed script content to avoid redundant processing.
+       * Used to improve performance by caching scripts that have already been processed or compiled.
+       *
+       * @static
+       * @type {Object<string, string>}
+       * @memberof RuntimeManager
+       */
+      static ScriptsCachedContent = {};
+
+      /**
+       * @type {Object<string, {
+       *    route: URL,
+       *    exact: boolean,
+       *    defaultContent: string
+       * }}>
+       */
+      static currentRoutes = {};
+
+      /**
+       * Monotonic counter used to tag every runtime request and target repaint
+       * @type {number}
+       * @private
+       */
+      static generation = 0;
+
+      /**
+       * Generation id of the most recent navigation
+       * @type {number}
+       * @private
+       */
+      static navigationGeneration = 0;
+
+      /**
+       * Abort controller of the navigation currently in flight
+       * @type {AbortController|null}
+       * @private
+       */
+      static navigationController = null;
+
+      /**
+       * Generation at which a navigation last painted each target
+       * @type {Object<string, number>}
+       * @private
+       */
+      static targetGenerations = {};
+
+      /**
+       * Parsed navigation responses, keyed by URL (without its hash) and target.
+       * Map insertion order doubles as least-recently-used order.
+       *
+       * @type {Map<string, {
+       *    data: string|Object,
+       *    time: number,
+       *    maxAge: number,
+       *    staleWhileRevalidate: number,
+       *    noStore: boolean,
+       *    prefetched: boolean
+       * }>}
+       * @private
+       */
+      static responseCache = new Map();
+
+      /**
+       * Navigation requests in flight, shared by concurrent callers
+       * @type {Map<string, { promise: Promise<{ data: string|Object, response: Response }>, controller: AbortController, consumers: number }>}
+       * @private
+       */
+      static inflightRequests = new Map();
+
+      /**
+       * Swap strategies understood by `swapContent()`
+       * @type {string[]}
+       * @private
+       */
+      static swapStrategies = ["morph", "innerHTML", "outerHTML", "beforeend", "afterbegin", "beforebegin", "afterend", "none"];
+
+      /**
+       * Request and response interceptors, exposed as `phpspa.interceptors`
+       * @type {{ request: Object, response: Object }}
+       * @private
+       */
+      static interceptors = {
+         request: RuntimeManager.createInterceptorChain(),
+         response: RuntimeManager.createInterceptorChain(),
+      };
+
+      /**
+       * Plugins registered with `phpspa.use()`, mapped to the function that removes them
+       * @type {Map<Object, Function>}
+       * @private
+       */
+      static plugins = new Map();
+
+      /**
+       * Plugin objects built for plugins given as a setup function, so the same function maps to the same plugin
+       * @type {WeakMap<Function, Object>}
+       * @private
+       */
+      static functionPlugins = new WeakMap();
+
+      /**
+       * The attribute value each plugin attribute handler last ran with, per element
+       * @type {WeakMap<Element, Map<Function, string>>}
+       * @private
+       */
+      static appliedAttributes = new WeakMap();
+
+      /**
+       * Runtime options in effect. Documented on `phpspa.configure()`.
+       * @type {Object}
+       * @private
+       */
+      static config = {
+         viewTransitions: true,
+         scroll: true,
+         scrollOffset: 0,
+         smoothScroll: true,
+         headers: {},
+         executeScripts: true,
+         announceNavigation: true,
+         manageFocus: true,
+         activeClass: "active",
+         showProgressBar: false,
+         progressBarDelay: 150,
+         requestTimeout: 15000,
+         retries: 2,
+         retryDelay: 300,
+         cacheLimit: 50,
+         cacheMaxAge: 0,
+         cacheStaleWhileRevalidate: 0,
+         prefetchTTL: 30000,
+         prefetchHoverDelay: 65,
+         csrfHeader: "X-CSRF-Token",
+         stateDebounce: 0,
+      };
+
+      /**
+       * Options set through `phpspa.configure()`, which server-provided defaults don't override
+       * @type {Set<string>}
+       * @private
+       */
+      static configuredOptions = new Set();
+
+      /**
+       * Shared observer for links using the "viewport" prefetch strategy
+       * @type {IntersectionObserver|null}
+       * @private
+       */
+      static prefetchObserver = null;
+
+      /**
+       * Links already scheduled for viewport or eager prefetching
+       * @type {WeakSet<HTMLAnchorElement>}
+       * @private
+       */
+      static prefetchScheduled = new WeakSet();
+
+      /**
+       * Deploy version of the loaded document, from `<meta name="phpspa-version">`
+       * or the `phpspa-target-data` payload. `null` disables version checks.
+       * @type {string|null}
+       * @private
+       */
+      static version = null;
+
+      /**
+       * Navigation guards registered with `phpspa.beforeNavigate()`
+       * @type {Set<Function>}
+       * @private
+       */
+      static guards = new Set();
+
+      /**
+       * The `setState()` batch still collecting calls, if any
+       * @type {Object|null}
+       * @private
+       */
+      static stateBatch = null;
+
+      /**
+       * Whether the server announced with `X-Phpspa-State-Batch: 1` that it reads
+       * several changes from one `setState()` request
+       * @type {boolean}
+       * @private
+       */
+      static stateBatchSupported = false;
+
+      /**
+       * Fallback animations registered with `phpspa.onTransition()`
+       * @type {Set<Object>}
+       * @private
+       */
+      static transitionHooks = new Set();
+
+      /**
+       * The latest native view transition, only it may clear `<html data-phpspa-navigation>`
+       * @type {ViewTransition|null}
+       * @private
+       */
+      static activeTransition = null;
+
+      /**
+       * Handlers registered with `phpspa.onStatus()`, keyed by status code or class ("4xx")
+       * @type {Map<string, Set<Function>>}
+       * @private
+       */
+      static statusHandlers = new Map();
+
+      /**
+       * Forms marked with data-phpspa-confirm-leave that have unsaved changes
+       * @type {Set<HTMLFormElement>}
+       * @private
+       */
+      static dirtyForms = new Set();
+
+      /**
+       * Position of the current entry in the history stack, stored as `index` in each PhpSPA state
+       * @type {number}
+       * @private
+       */
+      static historyIndex = 0;
+
+      /**
+       * Set when the runtime itself moves through history to undo a blocked traversal
+       * @type {boolean}
+       * @private
+       */
+      static ignoreNextPopstate = false;
+
+      /**
+       * Pending timer for saving the scroll position after scrolling stops
+       * @type {number|null}
+       * @private
+       */
+      static scrollSaveTimer = null;
+
+      /**
+       * Set while content is swapped, so positions aren't saved into the wrong history entry
+       * @type {boolean}
+       * @private
+       */
+      static scrollTrackingPaused = false;
+
+      /**
+       * Requests waiting for the connection to come back, keyed by kind ("navigate", "reload")
+       * @type {Map<string, Function>}
+       * @private
+       */
+      static onlineRetries = new Map();
+
+      /**
+       * Element the current click started on, cleared once the click has been handled
+       * @type {Element|null}
+       * @private
+       */
+      static trigger = null;
+
+      /**
+       * Number of pending requests marking each busy element
+       * @type {Map<Element, number>}
+       * @private
+       */
+      static busyCounts = new Map();
+
+      /**
+       * Number of runtime requests in flight, drives the progress bar
+       * @type {number}
+       * @private
+       */
+      static activeLoads = 0;
+
+      /**
+       * Delay timer before the progress bar appears
+       * @type {number|null}
+       * @private
+       */
+      static progressTimer = null;
+
+      /**
+       * Interval advancing the progress bar
+       * @type {number|null}
+       * @private
+       */
+      static progressTrickle = null;
+
+      /**
+       * Pending `phpspa.back()`/`phpspa.forward()` promises, with the timer that fails them
+       * if the browser never fires popstate
+       * @type {Array<{ resolve: Function, timer: number|null }>}
+       * @private
+       */
+      static traversals = [];
+
+      /**
+       * ms to wait for popstate after `history.go()` before a traversal counts as failed
+       * @type {number}
+       * @private
+       */
+      static traversalTimeout = 1000;
+
+      /**
+       * URL of the page currently displayed, passed to guards as `from`
+       * @type {string}
+       * @private
+       */
+      static currentURL = typeof location !== "undefined" ? location.href : "";
+
+      /**
+       * State of the history entry currently displayed, kept to fill entries the browser creates for fragment links
+       * @type {Object|null}
+       * @private
+       */
+      static currentState = null;
+
+      /**
+       * Internal event registry for custom events
+       * @type {Object<string, Function[]>}
+       * @private
+       */
+      static events = {
+         beforeload: [],
+         load: [],
+         beforeswap: [],
+         afterswap: [],
+         error: [],
+         statechange: [],
+         abort: [],
+         scriptsloaded: [],
+      };
+
+      /**
+       * Executes inline scripts and styles within a container element
+       * Processes all script and style tags, preventing duplicate execution
+       *
+       * @param {HTMLElement} container - The container element to search for scripts and styles
+       */
+
+      /**
+       * @type {Set<{
+       *    callback: Function,
+       *    dependencies: Array<string>|null,
+       *    cleanup: Function|null
+       * }>}
+       */
+      static effects = new Set();
+
+      /**
+       * Registers a side effect to be executed when state changes
+       * similar to React's useEffect but using state keys strings as dependencies
+       *
+       * @param {Function} callback - The effect callback
+       * @param {Array<string>} dependencies - Array of state keys to listen for
+       */
+      static registerEffect(callback, dependencies = null) {
+         // --- Run immediately (mount) ---
+         const cleanup = callback();
+
+         const effect = {
+            callback,
+            dependencies,
+            cleanup: typeof cleanup === 'function' ? cleanup : null
+         };
+
+         RuntimeManager.effects.add(effect);
+      }
+
+      /**
+       * Triggers effects that depend on the specific state key
+       *
+       * @param {string} key - The state key that changed
+       * @param {any} value - The new value (optional)
+       */
+      static triggerEffects(key, value) {
+         RuntimeManager.effects.forEach(effect => {
+            if (effect.dependencies === null || effect.dependencies.includes(key)) {
+               // --- Run cleanup if exists ---
+               if (effect.cleanup) effect.cleanup();
+
+               // --- Re-run callback ---
+               const cleanup = effect.callback();
+               effect.cleanup = typeof cleanup === 'function' ? cleanup : null;
+            }
+         });
+      }
+
+      /**
+       * Clears all registered effects and runs their cleanup functions
+       */
+      static clearEffects() {
+         RuntimeManager.effects.forEach(effect => {
+            if (effect.cleanup) effect.cleanup();
+         });
+         RuntimeManager.effects.clear();
+      }
+
+      /**
+       * Runs scripts and styles of every mounted component
+       *
+       * @returns {Promise<void>} Resolves once external component scripts have loaded and run
+       */
+      static runAll() {
+         const loading = [];
+
+         for (const targetID in RuntimeManager.currentRoutes) {
+            const element = document.getElementById(targetID);
+
+            if (element) {
+               if (RuntimeManager.config.executeScripts) {
+                  this.runInlineScripts(element);
+                  loading.push(this.runPhpSpaScripts(element));
+               }
+
+               this.runInlineStyles(element);
+            }
+         }
+
+         return Promise.all(loading).then(() => undefined);
+      }
+
+      /**
+       * Processes and executes inline scripts within a container
+       * Creates isolated scopes using IIFE to prevent variable conflicts
+       *
+       * @param {HTMLElement} container - The container to search for script elements
+       * @private
+       */
+      static runInlineScripts(container) {
+         const scripts = container.querySelectorAll("script");
+         const nonce = document.documentElement.getAttribute('x-phpspa');
+
+         scripts.forEach((script) => {
+            // --- Use base64 encoded content as unique identifier ---
+            const contentHash = utf8ToBase64(script.textContent.trim());
+
+            // --- Skip if this script has already been executed ---
+            if (!this.executedScripts.has(contentHash) && script.textContent.trim() !== "") {
+               // --- A plugin can veto the script, e.g. behind a feature flag ---
+               if (!RuntimeManager.runPluginHook("beforeScript", script, container)) return;
+
+               this.executedScripts.add(contentHash);
+
+               // --- Create new script element ---
+               const newScript = document.createElement("script");
+               newScript.nonce = nonce;
+
+               // --- Copy all attributes except the data-type identifier ---
+               for (const attribute of script.attributes) {
+                  newScript.setAttribute(attribute.name, attribute.value);
+               }
+
+               // --- Check if script should run in async context ---
+               const isAsync = script.hasAttribute("async");
+
+               // --- Wrap in IIFE to create isolated scope ---
+               if (isAsync) {
+                  newScript.textContent = `(async function() {\n${script.textContent}\n})();`;
+               } else {
+                  newScript.textContent = `(function() {\n${script.textContent}\n})();`;
+               }
+
+               // --- Execute and immediately remove from DOM ---
+               document.head.appendChild(newScript).remove();
+            }
+         });
+      }
+
+
+      static runPhpSpaScripts(container) {
+         const scripts = container.querySelectorAll("phpspa-script, script[data-type=\"phpspa/script\"]");
+
+         return Promise.all([...scripts].map(async (script) => {
+            const scriptUrl = script.getAttribute('src');
+            const scriptType = script.getAttribute('type');
+            const nonce = document.documentElement.getAttribute('x-phpspa');
+
+            // --- Skip if this script has already been executed ---
+            if (!this.executedScripts.has(scriptUrl)) {
+               if (!RuntimeManager.runPluginHook("beforeScript", script, container)) return;
+
+               this.executedScripts.add(scriptUrl);
+
+               // --- Check cache first ---
+               if (this.ScriptsCachedContent[scriptUrl]) {
+                  const newScript = document.createElement("script");
+                  newScript.textContent = this.ScriptsCachedContent[scriptUrl];
+                  newScript.type = scriptType;
+                  newScript.nonce = nonce;
+
+                  // --- Execute and immediately remove from DOM ---
+                  document.head.appendChild(newScript).remove();
+                  return;
+               }
+
+               const response = await RuntimeManager.sendRequest(scriptUrl, {
+                  headers: {
+                     "X-Requested-With": "PHPSPA_REQUEST_SCRIPT",
+                  },
+               }, { source: "script" });
+
+               if (response.ok) {
+                  const scriptContent = await response.text();
+
+                  // --- Create new script element ---
+                  const newScript = document.createElement("script");
+                  newScript.textContent = scriptContent;
+                  newScript.type = scriptType;
+                  newScript.nonce = nonce;
+
+                  // --- Execute and immediately remove from DOM ---
+                  document.head.appendChild(newScript).remove();
+
+                  // --- Cache the fetched script content ---
+                  this.ScriptsCachedContent[scriptUrl] = scriptContent;
+               } else {
+                  console.error(`Failed to load script from ${scriptUrl}: ${response.statusText}`);
+               }
+            }
+         })).catch((error) => console.error("Failed to load component scripts:", error));
+      }
+
+
+      /**
+       * Clears all executed scripts from the runtime manager.
+       * This method removes all entries from the executedScripts collection,
+       * effectively resetting the tracking of previously executed scripts.
+       *
+       * @static
+       * @memberof RuntimeManager
+       * @since 1.0.0
+       */
+      static clearExecutedScripts() {
+         RuntimeManager.executedScripts.clear();
+      }
+
+      /**
+       * Processes and injects inline styles within a container
+       * Prevents duplicate style injection by tracking content hashes
+       *
+       * @param {HTMLElement} container - The container to search for style elements
+       * @private
+       */
+      static runInlineStyles(container) {
+         const styles = container.querySelectorAll("style");
+         const nonce = document.documentElement.getAttribute('x-phpspa');
+
+         styles.forEach((style) => {
+            // --- Use base64 encoded content as unique identifier ---
+            const contentHash = utf8ToBase64(style.textContent.trim());
+
+            // --- Skip if this style has already been injected ---
+            if (!this.executedStyles.has(contentHash) && style.textContent.trim() !== "") {
+               this.executedStyles.add(contentHash);
+
+               // --- Create new style element ---
+               const newStyle = document.createElement("style");
+               newStyle.nonce = nonce;
+
+               // --- Copy all attributes except the data-type identifier ---
+               for (const attribute of style.attributes) {
+                  newStyle.setAttribute(attribute.name, attribute.value);
+               }
+
+               // --- Copy style content and inject into head ---
+               newStyle.textContent = style.textContent;
+               document.head.appendChild(newStyle).remove();
+            }
+         });
+      }
+
+      /**
+       * Reads the scroll position of the window and of every element marked
+       * with data-phpspa-scroll-restore. Elements are keyed by the attribute
+       * value, their ID, or their position in the document.
+       *
+       * @returns {{ x: number, y: number, elements: Object<string, { top: number, left: number }> }}
+       */
+      static captureScroll() {
+         const elements = {};
+
+         document.querySelectorAll("[data-phpspa-scroll-restore]").forEach((element, index) => {
+            const key = element.getAttribute("data-phpspa-scroll-restore") || element.id || String(index);
+            elements[key] = { top: element.scrollTop, left: element.scrollLeft };
+         });
+
+         return { x: window.scrollX, y: window.scrollY, elements };
+      }
+
+      /**
+       * Scrolls the window and marked elements back to a captured position
+       *
+       * @param {{ x: number, y: number, elements?: Object<string, { top: number, left: number }> }} position
+       */
+      static restoreScroll(position) {
+         document.querySelectorAll("[data-phpspa-scroll-restore]").forEach((element, index) => {
+            const key = element.getAttribute("data-phpspa-scroll-restore") || element.id || String(index);
+            const saved = position.elements?.[key];
+
+            if (saved) {
+               element.scrollTop = saved.top;
+               element.scrollLeft = saved.left;
+            }
+         });
+
+         scroll(position.x, position.y);
+      }
+
+      /**
+       * Stores the current scroll position in the current history entry
+       */
+      static saveScrollPosition() {
+         clearTimeout(RuntimeManager.scrollSaveTimer);
+
+         if (RuntimeManager.scrollTrackingPaused || !history.state || typeof history.state !== "object") return;
+
+         // --- Not a navigation, so `beforeHistory` plugins don't see it ---
+         try {
+            history.replaceState({ ...history.state, scroll: RuntimeManager.captureScroll() }, "");
+            RuntimeManager.currentState = history.state;
+         } catch (error) {
+            // --- Silently handle history API restrictions ---
+            console.warn("Failed to replace history state:", error.message);
+         }
+      }
+
+      /**
+       * Saves the scroll position once scrolling has settled
+       */
+      static scheduleScrollSave() {
+         if (RuntimeManager.scrollTrackingPaused) return;
+
+         clearTimeout(RuntimeManager.scrollSaveTimer);
+         RuntimeManager.scrollSaveTimer = setTimeout(RuntimeManager.saveScrollPosition, 100);
+      }
+
+      /**
+       * Stops saving scroll positions while content is swapped
+       */
+      static pauseScrollTracking() {
+         clearTimeout(RuntimeManager.scrollSaveTimer);
+         RuntimeManager.scrollTrackingPaused = true;
+      }
+
+      /**
+       * Resumes saving scroll positions into the current history entry
+       */
+      static resumeScrollTracking() {
+         RuntimeManager.scrollTrackingPaused = false;
+      }
+
+      /**
+       * Fetches with the configured timeout. The timeout rejects with a
+       * `TimeoutError`, aborting through `init.signal` still rejects with an `AbortError`.
+       *
+       * @param {string|URL} url - The URL to fetch
+       * @param {RequestInit} [init] - Fetch options
+       * @returns {Promise<Response>}
+       */
+      static fetchWithTimeout(url, init = {}) {
+         const timeout = RuntimeManager.config.requestTimeout;
+
+         if (!timeout) return fetch(url, init);
+
+         const controller = new AbortController();
+         const outerSignal = init.signal;
+         const onAbort = () => controller.abort();
+         let timedOut = false;
+
+         if (outerSignal?.aborted) {
+            controller.abort();
+         } else {
+            outerSignal?.addEventListener("abort", onAbort, { once: true });
+         }
+
+         const timer = setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+         }, timeout);
+
+         return fetch(url, { ...init, signal: controller.signal })
+            .catch((error) => {
+               throw timedOut ? new DOMException(`Request timed out after ${timeout}ms`, "TimeoutError") : error;
+            })
+            .finally(() => {
+               clearTimeout(timer);
+               outerSignal?.removeEventListener("abort", onAbort);
+            });
+      }
+
+      /**
+       * Fetches with the configured timeout, retrying idempotent GET requests
+       * with exponential backoff on network errors, timeouts and 502/503/504.
+       * Nothing is retried while the browser is offline.
+       *
+       * @param {string|URL} url - The URL to fetch
+       * @param {RequestInit} [init] - Fetch options
+       * @returns {Promise<Response>}
+       */
+      static async fetchWithRetry(url, init = {}) {
+         const method = (init.method || "GET").toUpperCase();
+         const retries = method === "GET" && !init.body ? RuntimeManager.config.retries : 0;
+
+         for (let attempt = 0; ; attempt++) {
+            try {
+               const response = await RuntimeManager.fetchWithTimeout(url, init);
+
+               if (attempt >= retries || ![502, 503, 504].includes(response.status)) {
+                  return response;
+               }
+            } catch (error) {
+               if (error.name === "AbortError" || attempt >= retries || navigator.onLine === false) {
+                  throw error;
+               }
+            }
+
+            // --- Wait before the next attempt: retryDelay, then twice that, and so on (plus jitter) ---
+            await new Promise((resolve, reject) => {
+               const onAbort = () => {
+                  clearTimeout(timer);
+                  reject(new DOMException("The request was aborted.", "AbortError"));
+               };
+               const timer = setTimeout(() => {
+                  init.signal?.removeEventListener("abort", onAbort);
+                  resolve();
+               }, RuntimeManager.config.retryDelay * 2 ** attempt + Math.random() * 100);
+
+               if (init.signal?.aborted) onAbort();
+               init.signal?.addEventListener("abort", onAbort, { once: true });
+            });
+         }
+      }
+
+      /**
+       * Sends a runtime request: attaches the CSRF token, runs the request interceptors,
+       * fetches, then reads a refreshed CSRF token and runs the response interceptors
+       *
+       * @param {string|URL} url - The URL to fetch
+       * @param {RequestInit} init - Fetch options, with `headers` as a plain object
+       * @param {{ source: "navigate"|"prefetch"|"state"|"reload"|"call"|"script", retry?: boolean }} options
+       *    - `source`: what sends the request, passed on to interceptors
+       *    - `retry`: go through `fetchWithRetry()`, otherwise a single plain fetch
+       * @returns {Promise<Response>}
+       */
+      static async sendRequest(url, init, { source, retry = true }) {
+         const { csrfHeader } = RuntimeManager.config;
+         let request = { url, init: { ...init, headers: { ...init.headers } }, source };
+
+         // --- The token never leaves the origin ---
+         const token = RuntimeManager.csrfToken();
+         const sameOrigin = new URL(url, location.href).origin === location.origin;
+
+         if (csrfHeader && token && sameOrigin) {
+            request.init.headers[csrfHeader] = token;
+         }
+
+         for (const interceptor of [...RuntimeManager.interceptors.request.handlers]) {
+            request = (await interceptor(request)) ?? request;
+         }
+
+         let response = retry
+            ? await RuntimeManager.fetchWithRetry(request.url, request.init)
+            : await fetch(request.url, request.init);
+
+         // --- The server rotated the token ---
+         const freshToken = csrfHeader && sameOrigin ? response.headers.get(csrfHeader) : null;
+
+         if (freshToken) RuntimeManager.setCsrfToken(freshToken);
+
+         // --- The server reads `{ state: [...] }`, so batched setState() calls can share a request ---
+         if (sameOrigin && response.headers.get("X-Phpspa-State-Batch") === "1") {
+            RuntimeManager.stateBatchSupported = true;
+         }
+
+         for (const interceptor of [...RuntimeManager.interceptors.response.handlers]) {
+            response = (await interceptor(response, request)) ?? response;
+         }
+
+         return response;
+      }
+
+      /**
+       * Reads the CSRF token from `<meta name="csrf-token">`
+       *
+       * @returns {string|null}
+       */
+      static csrfToken() {
+         return document.querySelector('meta[name="csrf-token"]')?.content || null;
+      }
+
+      /**
+       * Stores a new CSRF token in `<meta name="csrf-token">`, creating it if needed,
+       * so other scripts reading the tag get it too
+       *
+       * @param {string} token - The new token
+       */
+      static setCsrfToken(token) {
+         let meta = document.querySelector('meta[name="csrf-token"]');
+
+         if (!meta) {
+            meta = document.createElement("meta");
+            meta.name = "csrf-token";
+            document.head.appendChild(meta);
+         }
+
+         meta.content = token;
+      }
+
+      /**
+       * Creates an interceptor list for `phpspa.interceptors`
+       *
+       * @returns {{ handlers: Function[], use: (handler: Function) => Function }}
+       */
+      static createInterceptorChain() {
+         const handlers = [];
+
+         return {
+            handlers,
+            use(handler) {
+               handlers.push(handler);
+
+               return () => {
+                  const index = handlers.indexOf(handler);
+                  if (index !== -1) handlers.splice(index, 1);
+               };
+            },
+         };
+      }
+
+      /**
+       * Runs a request again once the browser is back online.
+       * Only the latest request of each kind is kept.
+       *
+       * @param {string} kind - What is waiting, e.g. "navigate" or "reload"
+       * @param {Function} callback - Starts the request again
+       */
+      static retryWhenOnline(kind, callback) {
+         RuntimeManager.onlineRetries.set(kind, callback);
+      }
+
+      /**
+       * Returns the element the current click started on, if any
+       *
+       * @returns {Element|null}
+       */
+      static currentTrigger() {
+         return RuntimeManager.trigger?.isConnected ? RuntimeManager.trigger : null;
+      }
+
+      /**
+       * Marks elements as busy and starts the progress bar.
+       * Elements get `aria-busy="true"` and `data-phpspa-loading` until every
+       * request that marked them has finished.
+       *
+       * @param {Array<Element|null>} elements - Affected targets and the clicked element
+       * @returns {Function} Call once the request has finished, further calls are ignored
+       */
+      static startLoading(elements) {
+         const marked = [...new Set(elements.filter(Boolean))];
+         let finished = false;
+
+         marked.forEach((element) => {
+            RuntimeManager.busyCounts.set(element, (RuntimeManager.busyCounts.get(element) ?? 0) + 1);
+            element.setAttribute("aria-busy", "true");
+            element.setAttribute("data-phpspa-loading", "");
+         });
+
+         if (++RuntimeManager.activeLoads === 1) {
+            clearTimeout(RuntimeManager.progressTimer);
+            RuntimeManager.progressTimer = setTimeout(RuntimeManager.showProgress, RuntimeManager.config.progressBarDelay);
+         }
+
+         return () => {
+            if (finished) return;
+            finished = true;
+
+            marked.forEach((element) => {
+               const count = (RuntimeManager.busyCounts.get(element) ?? 1) - 1;
+
+               if (count > 0) {
+                  RuntimeManager.busyCounts.set(element, count);
+                  return;
+               }
+
+               RuntimeManager.busyCounts.delete(element);
+               element.removeAttribute("aria-busy");
+               element.removeAttribute("data-phpspa-loading");
+            });
+
+            if (--RuntimeManager.activeLoads === 0) {
+               RuntimeManager.hideProgress();
+            }
+         };
+      }
+
+      /**
+       * Shows the progress bar and slowly advances it while requests are pending
+       */
+      static showProgress() {
+         if (!RuntimeManager.config.showProgressBar || RuntimeManager.activeLoads === 0) return;
+
+         let bar = document.getElementById("phpspa-progress");
+
+         if (!bar) {
+            bar = document.createElement("div");
+            bar.id = "phpspa-progress";
+            bar.setAttribute("aria-hidden", "true");
+            bar.style.cssText =
+               "position:fixed;top:0;left:0;z-index:2147483647;height:3px;width:0;" +
+               "background:var(--phpspa-progress-color, #29d);transition:width .2s ease, opacity .3s ease;";
+            document.body.appendChild(bar);
+         }
+
+         let progress = 10;
+
+         bar.style.opacity = "1";
+         bar.style.width = progress + "%";
+
+         // --- Trickle towards 90% without ever completing on its own ---
+         clearInterval(RuntimeManager.progressTrickle);
+         RuntimeManager.progressTrickle = setInterval(() => {
+            progress += (90 - progress) * 0.1;
+            bar.style.width = progress + "%";
+         }, 300);
+      }
+
+      /**
+       * Completes the progress bar and fades it out
+       */
+      static hideProgress() {
+         clearTimeout(RuntimeManager.progressTimer);
+         clearInterval(RuntimeManager.progressTrickle);
+
+         const bar = document.getElementById("phpspa-progress");
+
+         if (!bar) return;
+
+         bar.style.width = "100%";
+         bar.style.opacity = "0";
+
+         setTimeout(() => {
+            // --- A new request may have started while fading out ---
+            if (RuntimeManager.activeLoads === 0) bar.remove();
+         }, 300);
+      }
+
+      /**
+       * Reads a message out through the shared aria-live region
+       *
+       * @param {string} message - The text to announce
+       */
+      static announce(message) {
+         let announcer = document.getElementById("phpspa-announcer");
+
+         // --- Created lazily, and again if a body swap removed it ---
+         if (!announcer) {
+            announcer = document.createElement("div");
+            announcer.id = "phpspa-announcer";
+            announcer.setAttribute("aria-live", "polite");
+            announcer.setAttribute("aria-atomic", "true");
+            announcer.style.cssText =
+               "position:absolute;width:1px;height:1px;padding:0;margin:-1px;" +
+               "overflow:hidden;clip:rect(0,0,0,0);white-space:nowrap;border:0;";
+            document.body.appendChild(announcer);
+         }
+
+         // --- Clear first so the same title is announced again ---
+         announcer.textContent = "";
+         setTimeout(() => { announcer.textContent = message; }, 50);
+      }
+
+      /**
+       * Moves focus into updated content, without scrolling.
+       * Prefers the URL hash target, then `data-phpspa-autofocus`, then the first heading.
+       *
+       * @param {HTMLElement} container - The updated target element
+       * @param {string} [hash] - The URL hash of the navigation
+       */
+      static focusContent(container, hash = "") {
+         const hashElement = hash.length > 1 ? document.getElementById(decodeURIComponent(hash.substring(1))) : null;
+         const element =
+            hashElement ??
+            container.querySelector("[data-phpspa-autofocus]") ??
+            container.querySelector("h1, h2, h3, h4, h5, h6");
+
+         if (element) RuntimeManager.focusElement(element);
+      }
+
+      /**
+       * Focuses an element without scrolling, making it focusable first if needed
+       *
+       * @param {HTMLElement} element - The element to focus
+       */
+      static focusElement(element) {
+         // --- Headings and plain elements need a tabindex to take programmatic focus ---
+         if (element.tabIndex < 0 && !element.hasAttribute("tabindex")) {
+            element.setAttribute("tabindex", "-1");
+         }
+
+         element.focus({ preventScroll: true });
+      }
+
+      /**
+       * Marks PhpSPA links that match the current URL with `aria-current="page"` and the active classes.
+       * Links with `data-phpspa-active="none"` are left alone.
+       */
+      static updateActiveLinks() {
+         const current = new URL(location.href);
+
+         document.querySelectorAll('a[data-type="phpspa-link-tag"]').forEach((link) => {
+            if (link.getAttribute("data-phpspa-active") === "none") return;
+
+            const active = RuntimeManager.isActiveLink(link, current);
+            const classes = (link.getAttribute("data-phpspa-active-class") ?? RuntimeManager.config.activeClass)
+               .split(/\s+/)
+               .filter(Boolean);
+
+            classes.forEach((name) => link.classList.toggle(name, active));
+
+            if (active) {
+               link.setAttribute("aria-current", "page");
+            } else if (link.getAttribute("aria-current") === "page") {
+               link.removeAttribute("aria-current");
+            }
+         });
+      }
+
+      /**
+       * Checks whether a link points at the current URL.
+       * `data-phpspa-active="prefix"` also matches sub-paths, the default "exact" only the path itself.
+       * Query parameters that the link doesn't name are ignored, the hash always is.
+       *
+       * @param {HTMLAnchorElement} link - The link to check
+       * @param {URL} current - The current URL
+       * @returns {boolean}
+       */
+      static isActiveLink(link, current) {
+         const url = new URL(link.href, location.href);
+
+         if (url.origin !== current.origin) return false;
+
+         const trimSlash = (path) => path.replace(/\/+$/, "") || "/";
+         const linkPath = trimSlash(url.pathname);
+         const currentPath = trimSlash(current.pathname);
+
+         const pathMatches = link.getAttribute("data-phpspa-active") === "prefix"
+            ? currentPath === linkPath || currentPath.startsWith(linkPath === "/" ? "/" : `${linkPath}/`)
+            : currentPath === linkPath;
+
+         if (!pathMatches) return false;
+
+         for (const [name, value] of url.searchParams) {
+            if (!current.searchParams.getAll(name).includes(value)) return false;
+         }
+
+         return true;
+      }
+
+      /**
+       * Decides whether a click on a PhpSPA link is handled by the runtime.
+       * Modified and non-primary clicks, `target` other than "_self", `download`,
+       * `data-phpspa-reload` and cross-origin links keep their native behavior.
+       *
+       * @param {MouseEvent} event - The click event
+       * @param {HTMLAnchorElement} link - The clicked link
+       * @returns {boolean}
+       */
+      static shouldInterceptClick(event, link) {
+         if (event.defaultPrevented || event.button !== 0) return false;
+         if (event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) return false;
+
+         const target = link.getAttribute("target");
+
+         if (target && target.toLowerCase() !== "_self") return false;
+         if (link.hasAttribute("download") || link.hasAttribute("data-phpspa-reload")) return false;
+
+         const url = new URL(link.href, location.href);
+
+         return url.origin === location.origin && (url.protocol === "http:" || url.protocol === "https:");
+      }
+
+      /**
+       * Reads the navigate options a link asks for through its attributes
+       *
+       * @param {HTMLAnchorElement} link - The clicked link
+       * @returns {{ mode: "push"|"replace", scroll?: boolean, target?: string, swap?: string }}
+       */
+      static linkOptions(link) {
+         const options = {
+            mode: link.hasAttribute("data-phpspa-replace") ? "replace" : "push",
+         };
+
+         if (link.hasAttribute("data-phpspa-noscroll")) {
+            options.scroll = false;
+         }
+
+         if (link.getAttribute("data-phpspa-target")) {
+            options.target = link.getAttribute("data-phpspa-target");
+         }
+
+         if (link.getAttribute("data-phpspa-swap")) {
+            options.swap = link.getAttribute("data-phpspa-swap");
+         }
+
+         return options;
+      }
+
+      /**
+       * Checks whether two URLs point at the same document, ignoring the hash
+       *
+       * @param {URL|string} url - The first URL
+       * @param {URL|string} other - The second URL
+       * @returns {boolean}
+       */
+      static isSameDocument(url, other) {
+         const a = new URL(url, location.href);
+         const b = new URL(other, location.href);
+
+         return a.origin === b.origin && a.pathname === b.pathname && a.search === b.search;
+      }
+
+      /**
+       * Scrolls the element named by a URL hash into view, keeping the `scrollOffset` option above it.
+       * An empty hash or "#top" scrolls to the top of the page, like the browser does.
+       *
+       * @param {string} hash - The URL hash, including "#"
+       * @param {boolean} [smooth=false] - Scroll smoothly, if the `smoothScroll` option allows it
+       * @returns {HTMLElement|null|false} The element scrolled to, `null` for the top of the page, or `false` if nothing matched
+       */
+      static scrollToHash(hash, smooth = false) {
+         const id = decodeURIComponent(hash.substring(1));
+
+         if (id === "" || id.toLowerCase() === "top") {
+            scroll(0, 0);
+            return null;
+         }
+
+         const element = document.getElementById(id) ?? document.getElementsByName(id)[0];
+
+         if (!element) return false;
+
+         const { scrollOffset, smoothScroll } = RuntimeManager.config;
+         const offset = typeof scrollOffset === "function" ? scrollOffset() : scrollOffset;
+         const reducedMotion = RuntimeManager.prefersReducedMotion();
+         const previousMargin = element.style.scrollMarginTop;
+
+         // --- scroll-margin makes scrollIntoView stop short of sticky headers, in nested scrollers too ---
+         if (offset) element.style.scrollMarginTop = `${offset}px`;
+
+         element.scrollIntoView({
+            behavior: smooth && smoothScroll && !reducedMotion ? "smooth" : "auto",
+            block: "start",
+         });
+
+         if (offset) element.style.scrollMarginTop = previousMargin;
+
+         return element;
+      }
+
+      /**
+       * Moves to another hash of the current page: writes history, scrolls and focuses
+       * the target, without fetching anything
+       *
+       * @param {URL} url - The URL with the new hash
+       * @param {{ mode?: "push"|"replace", scroll?: boolean }} [options]
+       */
+      static navigateToHash(url, { mode = "push", scroll = true } = {}) {
+         // --- Leave the scroll position in the entry being left, the new entry shares its content ---
+         RuntimeManager.saveScrollPosition();
+
+         const entry = { ...RuntimeManager.currentState, url: url.toString() };
+         delete entry.scroll;
+
+         if (mode === "replace") {
+            RuntimeManager.replaceState(entry, document.title, url);
+         } else {
+            RuntimeManager.pushState(entry, document.title, url);
+         }
+
+         RuntimeManager.updateActiveLinks();
+
+         const element = scroll ? RuntimeManager.scrollToHash(url.hash, true) : null;
+
+         if (element && RuntimeManager.config.manageFocus) {
+            RuntimeManager.focusElement(element);
+         }
+      }
+
+      /**
+       * Announces the route change and moves focus, as configured
+       *
+       * @param {HTMLElement} container - The updated target element
+       * @param {string} [hash] - The URL hash of the navigation
+       */
+      static completeNavigationA11y(container, hash = "") {
+         if (RuntimeManager.config.announceNavigation) {
+            const marked = container.querySelector("[data-phpspa-announce]") ??
+               (container.hasAttribute("data-phpspa-announce") ? container : null);
+
+            RuntimeManager.announce(marked?.getAttribute("data-phpspa-announce") || document.title);
+         }
+
+         if (RuntimeManager.config.manageFocus) {
+            RuntimeManager.focusContent(container, hash);
+         }
+      }
+
+      /**
+       * Moves through history and waits for the popstate handler to restore the entry
+       *
+       * @param {number} delta - How many entries to move, negative to go back
+       * @returns {Promise<Object>} Resolves like `phpspa.navigate()`
+       */
+      static traverseHistory(delta) {
+         return new Promise((resolve) => {
+            /**
+             * Settles this traversal when the history didn't move
+             * @param {string} error - Why
+             */
+            const fail = (error) => resolve({
+               success: false,
+               url: location.href,
+               targetID: RuntimeManager.currentState?.targetID ?? null,
+               title: document.title,
+               status: null,
+               fromCache: false,
+               error,
+            });
+
+            // --- Before the first entry of this page the browser leaves the document, no popstate follows ---
+            if (RuntimeManager.historyIndex + delta < 0) {
+               history.go(delta);
+               fail("No history entry in that direction");
+               return;
+            }
+
+            // --- At the last entry, or leaving the document, nothing fires popstate ---
+            const traversal = { resolve, timer: null };
+
+            traversal.timer = setTimeout(() => {
+               const index = RuntimeManager.traversals.indexOf(traversal);
+
+               if (index === -1) return;
+
+               RuntimeManager.traversals.splice(index, 1);
+               fail("No history entry in that direction");
+            }, RuntimeManager.traversalTimeout);
+
+            RuntimeManager.traversals.push(traversal);
+            history.go(delta);
+         });
+      }
+
+      /**
+       * Stops the timeouts of pending traversals once popstate arrived,
+       * the restore may take longer than the timeout
+       */
+      static holdTraversals() {
+         RuntimeManager.traversals.forEach((traversal) => {
+            clearTimeout(traversal.timer);
+            traversal.timer = null;
+         });
+      }
+
+      /**
+       * Resolves every pending history traversal with the outcome of the restore
+       *
+       * @param {Object} result - The navigation result
+       */
+      static settleTraversal(result) {
+         RuntimeManager.traversals.splice(0).forEach(({ resolve, timer }) => {
+            clearTimeout(timer);
+            resolve(result);
+         });
+      }
+
+      /**
+       * Checks whether any connected form has unsaved changes
+       *
+       * @returns {boolean}
+       */
+      static hasDirtyForms() {
+         RuntimeManager.dirtyForms.forEach((form) => {
+            if (!form.isConnected) RuntimeManager.dirtyForms.delete(form);
+         });
+
+         return RuntimeManager.dirtyForms.size > 0;
+      }
+
+      /**
+       * Checks whether a navigation has to go through guards
+       *
+       * @returns {boolean}
+       */
+      static hasGuards() {
+         return RuntimeManager.guards.size > 0 || RuntimeManager.hasDirtyForms();
+      }
+
+      /**
+       * Runs the unsaved-changes check and every registered guard in order.
+       * A guard that throws blocks the navigation.
+       *
+       * @param {{ url: URL, from: string|null, type: string, method: string }} navigation - The pending navigation
+       * @returns {Promise<boolean>} Whether the navigation may continue
+       */
+      static async runGuards(navigation) {
+         if (RuntimeManager.hasDirtyForms()) {
+            const form = [...RuntimeManager.dirtyForms][0];
+            const message = form.getAttribute("data-phpspa-confirm-leave") ||
+               "You have unsaved changes. Do you really want to leave this page?";
+
+            if (!confirm(message)) return false;
+
+            // --- The user chose to discard the changes ---
+            RuntimeManager.dirtyForms.clear();
+         }
+
+         for (const guard of [...RuntimeManager.guards]) {
+            try {
+               if ((await guard(navigation)) === false) return false;
+            } catch (error) {
+               console.error("Error in beforeNavigate guard:", error);
+               return false;
+            }
+         }
+
+         return true;
+      }
+
+      /**
+       * Validates and applies runtime options, warning about unknown keys and wrong types
+       *
+       * @param {Object} options - The options to apply
+       * @param {string} source - Where the options come from, for warnings
+       * @param {boolean} [declarative=false] - Server-provided defaults, which don't override `phpspa.configure()`
+       */
+      static applyConfig(options, source, declarative = false) {
+         if (!options || typeof options !== "object") {
+            console.warn(`${source}: expected an object of options, got ${typeof options}`);
+            return;
+         }
+
+         const known = Object.keys(RuntimeManager.config);
+
+         for (const [key, value] of Object.entries(options)) {
+            if (!known.includes(key)) {
+               const suggestion = known.find((name) => name.toLowerCase() === key.toLowerCase());
+
+               console.warn(`${source}: unknown option "${key}" ignored.${suggestion ? ` Did you mean "${suggestion}"?` : ""}`);
+               continue;
+            }
+
+            const problem = RuntimeManager.checkOption(key, value);
+
+            if (problem) {
+               console.warn(`${source}: option "${key}" ${problem}, ignored.`);
+               continue;
+            }
+
+            if (declarative && RuntimeManager.configuredOptions.has(key)) continue;
+            if (!declarative) RuntimeManager.configuredOptions.add(key);
+
+            RuntimeManager.config[key] = key === "headers" ? { ...value } : value;
+         }
+      }
+
+      /**
+       * Checks an option value against the type of its default
+       *
+       * @param {string} key - The option name
+       * @param {any} value - The value to check
+       * @returns {string|null} What is wrong with the value, or null when it is valid
+       */
+      static checkOption(key, value) {
+         const expected = RuntimeManager.optionType(key);
+
+         if (key === "scrollOffset" && typeof value === "function") return null;
+
+         if (expected === "object") {
+            const valid = value !== null && typeof value === "object" && !Array.isArray(value) &&
+               Object.values(value).every((header) => typeof header === "string");
+
+            return valid ? null : "must be an object of string values";
+         }
+
+         if (typeof value !== expected) return `must be a ${expected}`;
+
+         if (expected === "number" && !(Number.isFinite(value) && value >= 0)) {
+            return "must be a non-negative number";
+         }
+
+         return null;
+      }
+
+      /**
+       * The type an option's value must have. `scrollOffset` also accepts a function.
+       *
+       * @param {string} key - The option name
+       * @returns {string}
+       */
+      static optionType(key) {
+         return key === "scrollOffset" ? "number" : typeof RuntimeManager.config[key];
+      }
+
+      /**
+       * Reads server-provided defaults from `<meta name="phpspa-config" content="{...}">`
+       * and `data-phpspa-*` attributes on `<html>` (e.g. `data-phpspa-request-timeout="10000"`)
+       */
+      static readDeclarativeConfig() {
+         const meta = document.querySelector('meta[name="phpspa-config"]');
+
+         if (meta) {
+            try {
+               RuntimeManager.applyConfig(JSON.parse(meta.content), '<meta name="phpspa-config">', true);
+            } catch (error) {
+               console.warn('<meta name="phpspa-config">: content is not valid JSON,', error.message);
+            }
+         }
+
+         const attributes = {};
+
+         for (const [name, raw] of Object.entries(document.documentElement.dataset)) {
+            // --- data-phpspa-offline is state set by the runtime, not an option ---
+            if (!name.startsWith("phpspa") || name.length === 6 || name === "phpspaOffline") continue;
+
+            const key = name.charAt(6).toLowerCase() + name.slice(7);
+            attributes[key] = RuntimeManager.parseOptionAttribute(key, raw);
+         }
+
+         RuntimeManager.applyConfig(attributes, "<html data-phpspa-*>", true);
+      }
+
+      /**
+       * Converts an attribute string to the type of the option's default
+       *
+       * @param {string} key - The option name
+       * @param {string} raw - The attribute value
+       * @returns {any}
+       */
+      static parseOptionAttribute(key, raw) {
+         switch (RuntimeManager.optionType(key)) {
+            case "boolean":
+               // --- A bare attribute means true ---
+               return raw === "" || raw === "true" ? true : raw === "false" ? false : raw;
+            case "number":
+               return raw.trim() === "" ? raw : Number(raw);
+            case "object":
+               try {
+                  return JSON.parse(raw);
+               } catch {
+                  return raw;
+               }
+            default:
+               return raw;
+         }
+      }
+
+      /**
+       * Checks whether a response was rendered by a newer deploy than the loaded document
+       *
+       * @param {Response} response - The response to inspect
+       * @returns {boolean}
+       */
+      static isOutdated(response) {
+         const serverVersion = response.headers.get("X-Phpspa-Version");
+
+         if (RuntimeManager.version === null || serverVersion === null) return false;
+
+         return serverVersion.trim() !== RuntimeManager.version;
+      }
+
+      /**
+       * Emits a typed `error` event for a 4xx/5xx response and runs the status handlers
+       * registered for its code and class
+       *
+       * @param {{
+       *    source: "navigate"|"state"|"reload"|"call",
+       *    url: URL,
+       *    data: string|Object,
+       *    response: Response,
+       *    render?: Function,
+       *    targetID?: string|null,
+       *    timing?: { start: number, duration: number }|null
+       * }} details - The failed request, `render` paints the error body (or given content) instead
+       * @returns {boolean} Whether any status handler ran
+       */
+      static handleHttpError({ source, url, data, response, render, targetID = null, timing = null }) {
+         const status = response.status;
+
+         RuntimeManager.emit("error", {
+            type: "http",
+            source,
+            route: url.toString(),
+            targetID,
+            timing,
+            status,
+            error: `Server responded with ${status}`,
+            data,
+            response,
+         });
+
+         const handlers = [
+            ...(RuntimeManager.statusHandlers.get(String(status)) ?? []),
+            ...(RuntimeManager.statusHandlers.get(`${Math.floor(status / 100)}xx`) ?? []),
+         ];
+
+         for (const handler of handlers) {
+            try {
+               handler({ status, source, url, data, response, render });
+            } catch (error) {
+               console.error(`Error in status ${status} handler:`, error);
+            }
+         }
+
+         return handlers.length > 0;
+      }
+
+      /**
+       * Emits a typed `error` event for a request that got no response
+       *
+       * @param {"navigate"|"state"|"reload"} source - What sent the request
+       * @param {URL|string} url - The requested URL
+       * @param {Error} error - The network error, timeout or offline failure
+       * @param {{ targetID?: string|null, timing?: Object|null }} [details] - Extra payload fields
+       */
+      static emitRequestError(source, url, error, { targetID = null, timing = null } = {}) {
+         let type = "network";
+
+         if (navigator.onLine === false) type = "offline";
+         else if (error?.name === "TimeoutError") type = "timeout";
+
+         RuntimeManager.emit("error", {
+            type,
+            source,
+            route: url.toString(),
+            targetID,
+            timing,
+            status: null,
+            error: error?.message || "No connection to server",
+            response: null,
+         });
+      }
+
+      /**
+       * Measures the time elapsed since a request started, for event payloads
+       *
+       * @param {number} start - `performance.now()` when the request started
+       * @returns {{ start: number, duration: number }}
+       */
+      static timing(start) {
+         return { start, duration: performance.now() - start };
+      }
+
+      /**
+       * Returns a new generation id for tagging a request
+       *
+       * @returns {number}
+       */
+      static nextGeneration() {
+         return ++RuntimeManager.generation;
+      }
+
+      /**
+       * Aborts the navigation in flight (if any) and starts a new one
+       *
+       * @returns {{ generation: number, signal: AbortSignal }}
+       */
+      static beginNavigation() {
+         RuntimeManager.abortNavigation();
+
+         // --- A navigation waiting for the connection is superseded too ---
+         RuntimeManager.onlineRetries.delete("navigate");
+
+         const controller = new AbortController();
+         RuntimeManager.navigationController = controller;
+         RuntimeManager.navigationGeneration = RuntimeManager.nextGeneration();
+
+         return {
+            generation: RuntimeManager.navigationGeneration,
+            signal: controller.signal,
+         };
+      }
+
+      /**
+       * Aborts the navigation currently in flight, if any
+       */
+      static abortNavigation() {
+         if (RuntimeManager.navigationController) {
+            RuntimeManager.navigationController.abort();
+            RuntimeManager.navigationController = null;
+         }
+      }
+
+      /**
+       * Checks whether a navigation has been superseded by a newer one
+       *
+       * @param {number} generation - Generation id of the navigation
+       * @returns {boolean}
+       */
+      static isStaleNavigation(generation) {
+         return generation !== RuntimeManager.navigationGeneration;
+      }
+
+      /**
+       * Marks a target as repainted by a navigation
+       *
+       * @param {string} targetID - The ID of the repainted target
+       */
+      static claimTarget(targetID) {
+         RuntimeManager.targetGenerations[targetID] = RuntimeManager.nextGeneration();
+      }
+
+      /**
+       * Checks whether a navigation repainted the target after a request was issued
+       *
+       * @param {string} targetID - The ID of the target to update
+       * @param {number} generation - Generation id of the request
+       * @returns {boolean}
+       */
+      static isTargetSuperseded(targetID, generation) {
+         return (RuntimeManager.targetGenerations[targetID] ?? 0) > generation;
+      }
+
+      /**
+       * Reads the extra fragments of a response envelope, the ones that have a target
+       *
+       * @param {string|Object} responseData - The parsed response
+       * @returns {Array<{ targetID: string, content: string, swap?: string, exact?: boolean }>}
+       */
+      static responseFragments(responseData) {
+         if (!Array.isArray(responseData?.fragments)) return [];
+
+         return responseData.fragments.filter((fragment) => typeof fragment?.targetID === "string");
+      }
+
+      /**
+       * Records fragment targets in `currentRoutes` and claims them, so late
+       * setState/reload responses for those targets are dropped
+       *
+       * @param {Array<Object>} fragments - Fragments from `responseFragments()` or a history state
+       * @param {URL|string} url - The route the fragments belong to
+       */
+      static recordFragments(fragments, url) {
+         for (const { targetID, exact } of fragments) {
+            RuntimeManager.claimTarget(targetID);
+
+            RuntimeManager.currentRoutes[targetID] = {
+               route: url,
+               exact,
+               defaultContent: RuntimeManager.currentRoutes[targetID]?.defaultContent ?? (document.getElementById(targetID)?.innerHTML || ''),
+            };
+         }
+      }
+
+      /**
+       * Writes each fragment into its target. Fragments whose target isn't on the page are skipped.
+       *
+       * @param {Array<Object>} fragments - Fragments from `responseFragments()` or a history state
+       * @param {Object} [options] - Passed on to `swapContent()`
+       */
+      static swapFragments(fragments, options) {
+         for (const { targetID, content, swap } of fragments) {
+            const element = document.getElementById(targetID);
+
+            if (element) RuntimeManager.swapContent(element, content ?? "", swap, options);
+         }
+      }
+
+      /**
+       * Updates an element with new content. A plugin `swap` hook can take over,
+       * then `afterSwap` hooks and plugin attribute handlers run on the element and any inserted nodes.
+       * `data-phpspa-permanent` elements that the new content has too (matched by ID) are kept as they are.
+       *
+       * @param {HTMLElement} element - The element to update
+       * @param {string} content - The new HTML
+       * @param {string} [swap="morph"] - How to apply the content:
+       *    - `morph`: morph the element's children into the new ones
+       *    - `innerHTML`: replace the children outright
+       *    - `outerHTML`: replace the element itself, with content that keeps its ID (otherwise `morph`)
+       *    - `beforeend`, `afterbegin`: append or prepend to the children
+       *    - `beforebegin`, `afterend`: insert before or after the element
+       *    - `none`: leave the element as it is
+       * @param {{ preserveFocus?: boolean }} [options]
+       *    - `preserveFocus`: keep the value of the focused field unless the new one has `data-phpspa-force`,
+       *       and restore focus, selection and scroll positions inside the element after the swap
+       * @returns {HTMLElement} The element now in the page, the new one after an `outerHTML` swap
+       */
+      static swapContent(element, content, swap = "morph", { preserveFocus = false } = {}) {
+         swap = RuntimeManager.swapStrategy(swap);
+
+         const focus = preserveFocus ? RuntimeManager.captureFocus(element) : null;
+         const handled = [...RuntimeManager.plugins.keys()].some(
+            (plugin) => RuntimeManager.callPlugin(plugin, "swap", element, content, swap) === true
+         );
+         let updated = [element];
+
+         if (!handled && swap !== "none") {
+            // --- Parsed up front so permanent elements can be matched against the new content ---
+            const newContent = toElement('<div>' + content + '</div>');
+            const permanent = RuntimeManager.permanentElements(element, newContent);
+
+            // --- Replacing the element with content that drops its ID would lose the target ---
+            if (swap === "outerHTML" && ![...newContent.children].some((node) => element.id && node.id === element.id)) {
+               console.warn(`outerHTML swap content has no element with the ID "${element.id}", using "morph".`);
+               swap = "morph";
+            }
+
+            if (!RuntimeManager.replacesChildren(swap)) {
+               const nodes = [...newContent.childNodes];
+
+               // --- outerHTML inserts first, so permanent elements can move over before the element goes ---
+               if (swap === "outerHTML" || swap === "beforebegin") element.before(...nodes);
+               else if (swap === "beforeend") element.append(...nodes);
+               else if (swap === "afterbegin") element.prepend(...nodes);
+               else element.after(...nodes);
+
+               nodes.forEach((node, index) => {
+                  if (node.nodeType !== Node.ELEMENT_NODE) return;
+
+                  [node, ...node.querySelectorAll("[data-phpspa-permanent][id]")].forEach((copy) => {
+                     const live = copy.hasAttribute("data-phpspa-permanent") && permanent.get(copy.id);
+
+                     if (live && live !== copy) {
+                        RuntimeManager.moveNode(live, copy);
+                        copy.remove();
+                        if (copy === node) nodes[index] = live;
+                     }
+                  });
+               });
+
+               if (swap === "outerHTML") element.remove();
+
+               // --- The new nodes may be outside the element ---
+               if (swap === "outerHTML" || swap === "beforebegin" || swap === "afterend") {
+                  updated = nodes.filter((node) => node.nodeType === Node.ELEMENT_NODE);
+               }
+            } else if (swap === "innerHTML") {
+               RuntimeManager.replaceContent(element, content, permanent);
+            } else {
+               // --- Nodes holding permanent elements, removed once those have moved out ---
+               const retained = [];
+
+               try {
+                  morphdom(element, newContent, {
+                     ...RuntimeManager.morphOptions({
+                        onBeforeElUpdated: (fromEl, toEl) => {
+                           // --- Leave permanent elements, their children and their JS state untouched ---
+                           if (permanent.get(fromEl.id) === fromEl) return false;
+
+                           // --- Don't overwrite what the user is typing ---
+                           if (fromEl === focus?.element) RuntimeManager.keepFieldValue(fromEl, toEl);
+                        },
+                        onBeforeNodeDiscarded: (node) => {
+                           if (permanent.get(node.id) === node) return false;
+
+                           if (node.nodeType === Node.ELEMENT_NODE && [...permanent.values()].some((live) => node.contains(live))) {
+                              retained.push(node);
+                              return false;
+                           }
+                        },
+                     }),
+                     // --- A key no new node has, so morphdom never moves a permanent element to its copy ---
+                     getNodeKey: (node) => {
+                        const key = node?.getAttribute?.("id") || node?.id;
+
+                        return key && permanent.get(key) === node ? " permanent " + key : key;
+                     },
+                  });
+
+                  // --- morphdom added the copies where they belong, put the live elements there instead ---
+                  permanent.forEach((live, id) => {
+                     const copy = [...element.querySelectorAll("[data-phpspa-permanent][id]")]
+                        .find((node) => node.id === id && node !== live);
+
+                     if (!copy) return;
+                     if (live.nextSibling !== copy) RuntimeManager.moveNode(live, copy);
+
+                     copy.remove();
+                  });
+
+                  retained.forEach((node) => node.remove());
+               } catch {
+                  RuntimeManager.replaceContent(element, content, permanent);
+               }
+            }
+         }
+
+         // --- An outerHTML swap leaves a new element with the same ID in place of the old one ---
+         if (!element.isConnected && element.id) {
+            element = document.getElementById(element.id) ?? element;
+         }
+
+         if (focus) RuntimeManager.restoreFocus(element, focus);
+
+         RuntimeManager.runPluginHook("afterSwap", element, swap);
+         updated.forEach((node) => RuntimeManager.applyAttributeHandlers(node));
+
+         return element;
+      }
+
+      /**
+       * Normalizes a swap strategy name, falling back to `morph` for unknown ones
+       *
+       * @param {string|null|undefined} swap - The requested strategy
+       * @returns {string}
+       */
+      static swapStrategy(swap) {
+         if (swap === undefined || swap === null || swap === "") return "morph";
+
+         const strategy = RuntimeManager.swapStrategies.find((name) => name.toLowerCase() === String(swap).toLowerCase());
+
+         if (!strategy) {
+            console.warn(`Unknown swap strategy "${swap}", using "morph".`);
+            return "morph";
+         }
+
+         return strategy;
+      }
+
+      /**
+       * Checks whether a swap strategy replaces all children of the element, so the content
+       * alone can rebuild it. Other strategies leave content the response doesn't contain.
+       *
+       * @param {string} swap - A normalized swap strategy
+       * @returns {boolean}
+       */
+      static replacesChildren(swap) {
+         return swap === "morph" || swap === "innerHTML";
+      }
+
+      /**
+       * Builds the history record of the fragments applied by a navigation. Fragments swapped
+       * in a way the content alone can't rebuild record the HTML their target ended up with.
+       * Nodes inserted with `beforebegin` or `afterend` are outside the target and aren't recorded.
+       *
+       * @param {Array<Object>} fragments - The fragments, after they were applied
+       * @returns {Array<{ targetID: string, content: string, swap?: string, exact?: boolean }>}
+       */
+      static recordedFragments(fragments) {
+         return fragments.map(({ targetID, content, swap, exact }) => {
+            if (RuntimeManager.replacesChildren(RuntimeManager.swapStrategy(swap))) {
+               return { targetID, content, swap, exact };
+            }
+
+            return { targetID, content: document.getElementById(targetID)?.innerHTML ?? content, swap: "morph", exact };
+         });
+      }
+
+      /**
+       * Reads the focused field inside a container, with its value and selection,
+       * and the scroll positions of both
+       *
+       * @param {HTMLElement} container - The element about to be updated
+       * @returns {{
+       *    element: HTMLElement|null,
+       *    id: string,
+       *    name: string|null,
+       *    value: string|undefined,
+       *    selection: Array|null,
+       *    scroll: { top: number, left: number },
+       *    fieldScroll: { top: number, left: number }|null,
+       * }}
+       */
+      static captureFocus(container) {
+         const active = document.activeElement;
+         const focused = active && active !== container && container.contains(active) ? active : null;
+         let selection = null;
+
+         // --- Some input types (e.g. email, number) have no selection and throw in older browsers ---
+         try {
+            if (typeof focused?.selectionStart === "number") {
+               selection = [focused.selectionStart, focused.selectionEnd, focused.selectionDirection];
+            }
+         } catch {
+            selection = null;
+         }
+
+         return {
+            element: focused,
+            id: focused?.id ?? "",
+            name: focused?.getAttribute("name") ?? null,
+            value: focused?.value,
+            selection,
+            scroll: { top: container.scrollTop, left: container.scrollLeft },
+            fieldScroll: focused ? { top: focused.scrollTop, left: focused.scrollLeft } : null,
+         };
+      }
+
+      /**
+       * Gives the incoming copy of the focused field the value the user typed,
+       * so morphdom's INPUT and TEXTAREA handlers leave it alone
+       *
+       * @param {HTMLElement} fromEl - The focused field
+       * @param {HTMLElement} toEl - Its new version
+       */
+      static keepFieldValue(fromEl, toEl) {
+         if (toEl.hasAttribute("data-phpspa-force")) return;
+
+         if (fromEl.nodeName === "TEXTAREA" || fromEl.nodeName === "INPUT") {
+            toEl.value = fromEl.value;
+         }
+
+         if (fromEl.type === "checkbox" || fromEl.type === "radio") {
+            toEl.checked = fromEl.checked;
+         }
+      }
+
+      /**
+       * Puts focus, selection and scroll positions back after a swap. A field that was
+       * replaced rather than morphed is found again by ID or name, and gets the typed value back.
+       *
+       * @param {HTMLElement} container - The updated element
+       * @param {Object} focus - From `captureFocus()`
+       */
+      static restoreFocus(container, focus) {
+         container.scrollTop = focus.scroll.top;
+         container.scrollLeft = focus.scroll.left;
+
+         if (!focus.element) return;
+
+         let field = container.contains(focus.element) ? focus.element : null;
+
+         if (!field && focus.id) {
+            field = document.getElementById(focus.id);
+         }
+
+         if (!field && focus.name) {
+            field = [...container.querySelectorAll("[name]")].find((node) => node.getAttribute("name") === focus.name);
+         }
+
+         if (!field || !container.contains(field)) return;
+
+         const replaced = field !== focus.element;
+
+         if (replaced && !field.hasAttribute("data-phpspa-force") && (field.nodeName === "INPUT" || field.nodeName === "TEXTAREA")) {
+            field.value = focus.value;
+         }
+
+         if (document.activeElement !== field) {
+            field.focus({ preventScroll: true });
+         }
+
+         if (focus.selection) {
+            try {
+               field.setSelectionRange(...focus.selection);
+            } catch {
+               // --- The new field doesn't support selection ---
+            }
+         }
+
+         field.scrollTop = focus.fieldScroll.top;
+         field.scrollLeft = focus.fieldScroll.left;
+      }
+
+      /**
+       * Finds the `data-phpspa-permanent` elements of `element` that are in the new content too
+       *
+       * @param {HTMLElement} element - The element about to be updated
+       * @param {HTMLElement} newContent - The parsed new content
+       * @returns {Map<string, HTMLElement>} The elements on the page, keyed by ID
+       */
+      static permanentElements(element, newContent) {
+         const permanent = new Map();
+         const incoming = new Set(
+            [...newContent.querySelectorAll("[data-phpspa-permanent][id]")].map((node) => node.id)
+         );
+
+         element.querySelectorAll("[data-phpspa-permanent][id]").forEach((node) => {
+            if (incoming.has(node.id)) permanent.set(node.id, node);
+         });
+
+         return permanent;
+      }
+
+      /**
+       * Replaces the children of an element without taking permanent elements out of the page.
+       * The new children are inserted around them, and permanent elements nested in new markup
+       * are moved into place before the old children are removed.
+       *
+       * @param {HTMLElement} element - The element to update
+       * @param {string} content - The new HTML
+       * @param {Map<string, HTMLElement>} permanent - From `permanentElements()`
+       */
+      static replaceContent(element, content, permanent) {
+         if (permanent.size === 0) {
+            element.innerHTML = content;
+            return;
+         }
+
+         const newContent = toElement('<div>' + content + '</div>');
+         const kept = new Map();
+         const nested = [];
+
+         newContent.querySelectorAll("[data-phpspa-permanent][id]").forEach((copy) => {
+            const live = permanent.get(copy.id);
+
+            if (!live) return;
+
+            // --- A direct child stays where it is, the new children go around it ---
+            if (copy.parentNode === newContent && live.parentNode === element) {
+               kept.set(copy, live);
+            } else {
+               nested.push([copy, live]);
+            }
+         });
+
+         const children = [...newContent.childNodes].map((node) => kept.get(node) ?? node);
+         const old = [...element.childNodes];
+
+         // --- Connect the new children first, so nested permanent elements move between connected parents ---
+         element.append(...children.filter((node) => !kept.has(node) && node.parentNode !== element));
+
+         nested.forEach(([copy, live]) => {
+            RuntimeManager.moveNode(live, copy);
+            copy.remove();
+         });
+
+         // --- Nested permanent elements have moved out already ---
+         old.forEach((node) => {
+            if (node.parentNode === element && !children.includes(node)) node.remove();
+         });
+
+         // --- Put everything in the new order, permanent elements only move if their order changed ---
+         let cursor = element.firstChild;
+
+         for (const node of children) {
+            if (node === cursor) {
+               cursor = cursor.nextSibling;
+            } else {
+               element.insertBefore(node, cursor);
+            }
+         }
+      }
+
+      /**
+       * Moves a node in front of another. `moveBefore()` keeps iframes loaded and media playing
+       * where browsers support it, `insertBefore()` reloads them.
+       *
+       * @param {Node} node - The node to move
+       * @param {Node} reference - The node to move it in front of
+       */
+      static moveNode(node, reference) {
+         const parent = reference.parentNode;
+
+         if (typeof parent.moveBefore === "function" && parent.isConnected && node.isConnected) {
+            try {
+               parent.moveBefore(node, reference);
+               return;
+            } catch {
+               // --- Not movable atomically, e.g. across documents ---
+            }
+         }
+
+         parent.insertBefore(node, reference);
+      }
+
+      /**
+       * Builds the morphdom options for a swap. The runtime's own callbacks run first,
+       * then the `morph` callbacks of every plugin. A callback returning false stops
+       * the chain and is passed on to morphdom.
+       *
+       * @param {Object<string, Function>} [callbacks={}] - The runtime's morphdom callbacks for this swap
+       * @returns {Object}
+       */
+      static morphOptions(callbacks = {}) {
+         const options = { childrenOnly: true };
+         const hooks = [
+            "onBeforeNodeAdded",
+            "onNodeAdded",
+            "onBeforeElUpdated",
+            "onElUpdated",
+            "onBeforeNodeDiscarded",
+            "onNodeDiscarded",
+            "onBeforeElChildrenUpdated",
+         ];
+
+         for (const hook of hooks) {
+            const own = callbacks[hook];
+            const plugins = [...RuntimeManager.plugins.keys()].filter((plugin) => typeof plugin.morph?.[hook] === "function");
+
+            if (!own && plugins.length === 0) continue;
+
+            options[hook] = (node, toNode) => {
+               // --- Plugins never see nodes the runtime decided to keep ---
+               if (own?.(node, toNode) === false) return false;
+
+               for (const plugin of plugins) {
+                  try {
+                     if (plugin.morph[hook](node, toNode) === false) return false;
+                  } catch (error) {
+                     console.error(`Error in ${RuntimeManager.pluginName(plugin)} morph.${hook}:`, error);
+                  }
+               }
+            };
+         }
+
+         return options;
+      }
+
+      /**
+       * Calls a plugin hook, logging errors instead of letting them break the runtime
+       *
+       * @param {Object} plugin - The plugin
+       * @param {string} hook - The hook name
+       * @param {...any} args - Arguments for the hook
+       * @returns {any} What the hook returned, or undefined if it is missing or threw
+       */
+      static callPlugin(plugin, hook, ...args) {
+         if (typeof plugin[hook] !== "function") return undefined;
+
+         try {
+            return plugin[hook](...args);
+         } catch (error) {
+            console.error(`Error in ${RuntimeManager.pluginName(plugin)} ${hook} hook:`, error);
+            return undefined;
+         }
+      }
+
+      /**
+       * Calls a hook on every plugin
+       *
+       * @param {string} hook - The hook name
+       * @param {...any} args - Arguments for the hook
+       * @returns {boolean} False when a plugin returned false
+       */
+      static runPluginHook(hook, ...args) {
+         let allowed = true;
+
+         for (const plugin of [...RuntimeManager.plugins.keys()]) {
+            if (RuntimeManager.callPlugin(plugin, hook, ...args) === false) allowed = false;
+         }
+
+         return allowed;
+      }
+
+      /**
+       * Names a plugin in log messages
+       *
+       * @param {Object} plugin - The plugin
+       * @returns {string}
+       */
+      static pluginName(plugin) {
+         return plugin.name ? `plugin "${plugin.name}"` : "plugin";
+      }
+
+      /**
+       * Runs plugin attribute handlers on `root` and its descendants. A handler runs once
+       * per element, and again when the attribute value changes.
+       *
+       * @param {Element} root - The element to scan
+       */
+      static applyAttributeHandlers(root) {
+         if (!root) return;
+
+         for (const plugin of [...RuntimeManager.plugins.keys()]) {
+            for (const [name, handler] of Object.entries(plugin.attributes ?? {})) {
+               const attribute = `data-phpspa-${name}`;
+               const elements = [...root.querySelectorAll(`[${attribute}]`)];
+
+               if (root.hasAttribute(attribute)) elements.unshift(root);
+
+               for (const element of elements) {
+                  const value = element.getAttribute(attribute);
+                  let applied = RuntimeManager.appliedAttributes.get(element);
+
+                  if (!applied) {
+                     applied = new Map();
+                     RuntimeManager.appliedAttributes.set(element, applied);
+                  }
+
+                  if (applied.get(handler) === value) continue;
+
+                  applied.set(handler, value);
+
+                  try {
+                     handler(element, value);
+                  } catch (error) {
+                     console.error(`Error in ${RuntimeManager.pluginName(plugin)} ${attribute} handler:`, error);
+                  }
+               }
+            }
+         }
+      }
+
+      /**
+       * Starts collecting `setState()` calls. Without a debounce, the batch is sent
+       * in a microtask, once the calling code has finished.
+       *
+       * @returns {Object} The open batch
+       */
+      static openStateBatch() {
+         const batch = {
+            changes: new Map(),
+            targets: new Set(),
+            trigger: RuntimeManager.currentTrigger(),
+            timer: null,
+         };
+
+         batch.promise = new Promise((resolve, reject) => {
+            batch.resolve = resolve;
+            batch.reject = reject;
+         });
+
+         RuntimeManager.stateBatch = batch;
+
+         if (!RuntimeManager.config.stateDebounce) {
+            queueMicrotask(() => RuntimeManager.flushState(batch));
+         }
+
+         return batch;
+      }
+
+      /**
+       * Sends a batch of state changes to every affected component: one request carrying every
+       * changed key when the server reads arrays, otherwise one request per key. Settles the batch once every component was updated
+       * and the effects of the changed keys have run.
+       *
+       * @param {Object} batch - From `openStateBatch()`
+       */
+      static async flushState(batch) {
+         if (RuntimeManager.stateBatch === batch) RuntimeManager.stateBatch = null;
+
+         const currentRoutes = RuntimeManager.currentRoutes;
+         const changes = [...batch.changes].map(([key, value]) => ({ key, value }));
+         // --- Servers that haven't opted into arrays get one `{ state: { key, value } }` request per key ---
+         const statePayloads = RuntimeManager.stateBatchSupported && changes.length > 1
+            ? [JSON.stringify({ state: changes })]
+            : changes.map((change) => JSON.stringify({ state: change }));
+         const generation = RuntimeManager.nextGeneration();
+         const startTime = performance.now();
+
+         /**
+          * Builds the payload of a lifecycle event
+          *
+          * @param {Object} details - Event specific fields
+          */
+         const eventDetail = (details) => ({
+            route: location.toString(),
+            targetID: null,
+            source: "state",
+            timing: RuntimeManager.timing(startTime),
+            ...details,
+         });
+
+         // --- Cached pages were rendered with the old state ---
+         phpspa.clearCache();
+
+         const targetIDs = Object.keys(currentRoutes).filter((targetID) => !batch.targets || batch.targets.has(targetID));
+
+         batch.targets?.forEach((targetID) => {
+            if (!Object.hasOwn(currentRoutes, targetID)) {
+               console.warn(`setState(): no component "${targetID}" is mounted, skipped.`);
+            }
+         });
+
+         // --- Components updated so far, and why others failed ---
+         const updated = [];
+         const errors = [];
+         let settled = false;
+         let effectsRun = false;
+
+         // --- Mark every refreshed component and the clicked element as busy ---
+         const finishLoading = RuntimeManager.startLoading([
+            ...targetIDs.map((targetID) => document.getElementById(targetID)),
+            batch.trigger,
+         ]);
+
+         await Promise.all(targetIDs.map((targetID) =>
+            sendState(targetID).then(
+               (response) => processStateResponse(response, targetID),
+               (error) => {
+                  // --- Network failure or timeout, the current content stays on screen ---
+                  RuntimeManager.emitRequestError("state", location.href, error, eventDetail({ targetID }));
+                  errors.push(error.message);
+               }
+            )
+         ));
+
+         finishLoading();
+         settled = true;
+
+         // --- The state changed even when no component re-rendered, only a failed request keeps the effects back ---
+         if (updated.length > 0 || errors.length === 0) finish(updated);
+
+         if (errors.length > 0) {
+            batch.reject(errors[0]);
+         } else {
+            batch.resolve();
+         }
+
+         /**
+          * Sends the changes for one component, one request after the other when they aren't batched,
+          * stopping at an error response
+          * @param {string} targetID - The component to refresh
+          * @returns {Promise<Response>} The last response, which renders the component
+          */
+         async function sendState(targetID) {
+            let response;
+
+            for (const statePayload of statePayloads) {
+               response = await RuntimeManager.sendRequest(currentRoutes[targetID].route, {
+                  headers: {
+                     ...RuntimeManager.config.headers,
+                     "X-Requested-With": "PHPSPA_REQUEST",
+                     Authorization: `Bearer ${utf8ToBase64(statePayload)}`,
+                  },
+                  mode: "same-origin",
+                  redirect: "follow",
+                  keepalive: true,
+               }, { source: "state" });
+
+               if (!response.ok) break;
+            }
+
+            return response;
+         }
+
+         /**
+          * Reads one component's response and updates its content
+          * @param {Response} response - The response for the component
+          * @param {string} targetID - The component the request was sent for
+          */
+         async function processStateResponse(response, targetID) {
+            try {
+               const responseText = await response.text();
+
+               // --- A navigation repainted this target after the request was sent ---
+               if (RuntimeManager.isTargetSuperseded(targetID, generation)) return;
+
+               // --- Parse response as JSON if possible ---
+               const responseData = RuntimeManager.parseResponse(responseText, response);
+
+               // --- Error responses keep the component as it is unless a status handler renders them ---
+               if (!response.ok) {
+                  errors.push(`Server responded with ${response.status}`);
+
+                  RuntimeManager.handleHttpError({
+                     ...eventDetail({ targetID }),
+                     url: new URL(location.href),
+                     data: responseData,
+                     response,
+                     render: (content = responseData) => {
+                        const detail = updateContent(content, response);
+
+                        // --- Rendered after the batch settled, runs the effects if nothing else did ---
+                        if (detail && settled) finish([detail]);
+                        else if (detail) updated.push(detail);
+                     },
+                  });
+                  return;
+               }
+
+               const detail = updateContent(responseData, response);
+
+               if (detail) updated.push(detail);
+            } catch (error) {
+               errors.push(error.message);
+            }
+         }
+
+         /**
+          * Updates the DOM content and restores scroll position
+          * @param {string|Object} responseData - The response data to process
+          * @param {Response} response - The response the data was read from
+          * @returns {Function|null} The event payload builder of the component, or null if a listener cancelled the swap
+          */
+         function updateContent(responseData, response) {
+            // --- Find target element and update content ---
+            let targetElement =
+               document.getElementById(responseData?.targetID) ??
+               document.getElementById(history.state?.targetID) ??
+               document.body;
+
+            const detail = (details) => eventDetail({
+               targetID: targetElement.id || null,
+               response,
+               ...details,
+            });
+
+            // --- Listeners can cancel the update of this component ---
+            if (!RuntimeManager.emit("beforeswap", detail({ content: responseData, status: response.status }))) return null;
+
+            // --- Update title if provided ---
+            if (String(responseData.title).length > 0) {
+               document.title = responseData.title;
+            }
+
+            // --- The user may be typing in the component ---
+            targetElement = RuntimeManager.swapContent(targetElement, RuntimeManager.responseContent(responseData), responseData?.swap, { preserveFocus: true });
+            RuntimeManager.swapFragments(RuntimeManager.responseFragments(responseData), { preserveFocus: true });
+
+            // --- The component may have rendered new links ---
+            RuntimeManager.updateActiveLinks();
+
+            RuntimeManager.emit("afterswap", detail({ element: targetElement, status: response.status }));
+
+            return detail;
+         }
+
+         /**
+          * Runs the effects of every changed key, once per batch, then emits `statechange` for each updated component
+          * @param {Function[]} components - Event payload builders of the updated components
+          */
+         function finish(components) {
+            // --- Trigger effects for the changed keys ---
+            if (!effectsRun) {
+               effectsRun = true;
+               changes.forEach(({ key, value }) => RuntimeManager.triggerEffects(key, value));
+            }
+
+            components.forEach((detail) => {
+               changes.forEach(({ key, value }) => RuntimeManager.emit("statechange", detail({ key, value })));
+            });
+         }
+      }
+
+      /**
+       * Runs a DOM update as a view transition of the given types. `data-phpspa-transition`
+       * elements get their `view-transition-name` on both sides of the swap, and
+       * `<html data-phpspa-navigation>` names the types for browsers without typed transitions.
+       * Without the API, `phpspa.onTransition()` hooks animate the update instead.
+       *
+       * @param {Function} update - Swaps the content, may return the target when it was replaced
+       * @param {{ types: string[], element: HTMLElement, isStale?: Function }} options
+       *    - `types`: transition types, e.g. `["back"]`, matched by `:active-view-transition-type()`
+       *    - `element`: the updated target, passed to the JS hooks
+       *    - `isStale`: checked right before the update, which is skipped when it returns true
+       * @returns {Promise<boolean>|null} Settles once the transition finished, with false when the update
+       *    was skipped as stale, or null when the update ran right away
+       */
+      static runTransition(update, { types, element, isStale = () => false }) {
+         if (!RuntimeManager.config.viewTransitions || RuntimeManager.prefersReducedMotion()) {
+            update();
+            return null;
+         }
+
+         if (document.startViewTransition) {
+            const root = document.documentElement;
+            let updated = false;
+
+            // --- The browser calls this after capturing the old state, a newer navigation may own the page by then ---
+            const swap = () => {
+               if (isStale()) return;
+
+               update();
+               updated = true;
+               RuntimeManager.assignTransitionNames();
+            };
+
+            RuntimeManager.assignTransitionNames();
+            root.setAttribute("data-phpspa-navigation", types.join(" "));
+
+            // --- Typed transitions take an options object, earlier versions only a callback ---
+            const typed = typeof ViewTransition !== "undefined" && "types" in ViewTransition.prototype;
+            const transition = typed
+               ? document.startViewTransition({ update: swap, types })
+               : document.startViewTransition(swap);
+
+            RuntimeManager.activeTransition = transition;
+
+            return transition.finished
+               .finally(() => {
+                  // --- A newer transition has set its own types ---
+                  if (RuntimeManager.activeTransition !== transition) return;
+
+                  RuntimeManager.activeTransition = null;
+                  root.removeAttribute("data-phpspa-navigation");
+               })
+               .then(() => updated);
+         }
+
+         const hooks = [...RuntimeManager.transitionHooks];
+
+         if (hooks.length === 0) {
+            update();
+            return null;
+         }
+
+         /**
+          * Runs one phase of every hook, a failing animation must not block the swap
+          * @param {"leave"|"enter"} phase - The hook to call
+          * @param {HTMLElement} target - The element to animate
+          */
+         const run = (phase, target) => Promise.all(hooks.map((hook) =>
+            Promise.resolve()
+               .then(() => hook[phase]?.(target, types))
+               .catch((error) => console.error(`Error in ${phase} transition hook:`, error))
+         ));
+
+         // --- The leave animations take time, a newer navigation may own the page once they end ---
+         return run("leave", element).then(() => {
+            if (isStale()) return false;
+
+            // --- An outerHTML swap replaced the target, animate the new one in ---
+            const target = update() ?? element;
+            return run("enter", target).then(() => true);
+         });
+      }
+
+      /**
+       * Builds the list of transition types: a base type such as "forward", "back"
+       * or "reload", plus any route-specific names
        *
-       * @static
-       * @type {Object<string, string>}
-       * @memberof RuntimeManager
+       * @param {string|string[]} base - The navigation's own type(s)
+       * @param {string|string[]|undefined} names - Route transition names, e.g. from the response
+       * @returns {string[]}
        */
-      static ScriptsCachedContent = {};
+      static transitionTypes(base, names) {
+         return [...new Set([base, names].flat().filter((type) => typeof type === "string" && type !== ""))];
+      }
 
       /**
-       * @type {Object<string, {
-       *    route: URL,
-       *    exact: boolean,
-       *    defaultContent: string
-       * }}>
+       * Gives every `data-phpspa-transition` element its `view-transition-name`,
+       * the attribute value or else the element's ID
        */
-      static currentRoutes = {};
+      static assignTransitionNames() {
+         document.querySelectorAll("[data-phpspa-transition]").forEach((element) => {
+            const name = element.getAttribute("data-phpspa-transition") || element.id;
+
+            if (name) element.style.viewTransitionName = name;
+         });
+      }
 
       /**
-       * Internal event registry for custom events
-       * @type {Object<string, Function[]>}
-       * @private
+       * Checks whether the user asked the system for reduced motion
+       *
+       * @returns {boolean}
        */
-      static events = {
-         beforeload: [],
-         load: [],
-      };
+      static prefersReducedMotion() {
+         return typeof matchMedia === "function" && matchMedia("(prefers-reduced-motion: reduce)").matches;
+      }
 
       /**
-       * Executes inline scripts and styles within a container element
-       * Processes all script and style tags, preventing duplicate execution
+       * Builds the response cache key for a URL and target, ignoring the URL hash
        *
-       * @param {HTMLElement} container - The container element to search for scripts and styles
+       * @param {URL|Location} url - The URL to key
+       * @param {string} [target="navigate"] - The request target
+       * @returns {string}
        */
+      static cacheKey(url, target = "navigate") {
+         return url.href.split("#")[0] + " " + target;
+      }
 
       /**
-       * @type {Set<{
-       *    callback: Function,
-       *    dependencies: Array<string>|null,
-       *    cleanup: Function|null
-       * }>}
+       * Checks whether the connection allows speculative requests
+       *
+       * @returns {boolean}
        */
-      static effects = new Set();
+      static canPrefetch() {
+         const connection = navigator.connection;
+
+         if (!connection) return true;
+
+         return !connection.saveData && !/2g/.test(connection.effectiveType || "");
+      }
 
       /**
-       * Registers a side effect to be executed when state changes
-       * similar to React's useEffect but using state keys strings as dependencies
+       * Parses a raw response body into a JSON envelope, or keeps it as text,
+       * then lets plugins transform the result
        *
-       * @param {Function} callback - The effect callback
-       * @param {Array<string>} dependencies - Array of state keys to listen for
+       * @param {string} responseText - The response body
+       * @param {Response} [response] - The response the body was read from
+       * @returns {string|Object}
        */
-      static registerEffect(callback, dependencies = null) {
-         // --- Run immediately (mount) ---
-         const cleanup = callback();
+      static parseResponse(responseText, response) {
+         let data = responseText || "";
+
+         if (responseText && responseText.trim().startsWith("{")) {
+            try {
+               data = JSON.parse(responseText);
+            } catch (parseError) {
+               data = responseText;
+            }
+         }
 
-         const effect = {
-            callback,
-            dependencies,
-            cleanup: typeof cleanup === 'function' ? cleanup : null
-         };
+         for (const plugin of [...RuntimeManager.plugins.keys()]) {
+            data = RuntimeManager.callPlugin(plugin, "parse", data, response) ?? data;
+         }
 
-         RuntimeManager.effects.add(effect);
+         return data;
       }
 
       /**
-       * Triggers effects that depend on the specific state key
+       * Reads the HTML of a response, either a plain text body or the `content` of an envelope
        *
-       * @param {string} key - The state key that changed
-       * @param {any} value - The new value (optional)
+       * @param {string|Object} data - The parsed response
+       * @returns {string}
        */
-      static triggerEffects(key, value) {
-         RuntimeManager.effects.forEach(effect => {
-            if (effect.dependencies === null || effect.dependencies.includes(key)) {
-               // --- Run cleanup if exists ---
-               if (effect.cleanup) effect.cleanup();
+      static responseContent(data) {
+         return typeof data === "string" ? data : data?.content ?? "";
+      }
 
-               // --- Re-run callback ---
-               const cleanup = effect.callback();
-               effect.cleanup = typeof cleanup === 'function' ? cleanup : null;
+      /**
+       * Parses `Cache-Control`-style directives from the `X-Phpspa-Cache` header.
+       * Supports `max-age`, `stale-while-revalidate` (in seconds), `no-store` and `no-cache`.
+       *
+       * @param {string|null} header - The header value
+       * @returns {{ maxAge: number, staleWhileRevalidate: number, noStore: boolean }}
+       */
+      static parseCacheHints(header) {
+         const hints = {
+            maxAge: RuntimeManager.config.cacheMaxAge,
+            staleWhileRevalidate: RuntimeManager.config.cacheStaleWhileRevalidate,
+            noStore: false,
+         };
+
+         if (!header) return hints;
+
+         header.split(",").forEach((directive) => {
+            const [name, value] = directive.trim().toLowerCase().split("=");
+            const seconds = Number(value);
+
+            if (name === "no-store" || name === "no-cache") {
+               hints.noStore = true;
+            } else if (name === "max-age" && !Number.isNaN(seconds)) {
+               hints.maxAge = seconds * 1000;
+            } else if (name === "stale-while-revalidate" && !Number.isNaN(seconds)) {
+               hints.staleWhileRevalidate = seconds * 1000;
             }
          });
+
+         return hints;
       }
 
       /**
-       * Clears all registered effects and runs their cleanup functions
+       * Stores a parsed navigation response, evicting the least recently used entries
+       *
+       * @param {string} key - The cache key
+       * @param {string|Object} data - The parsed response
+       * @param {Response} response - The response, read for cache hints
+       * @param {boolean} prefetched - Whether the request was a prefetch
        */
-      static clearEffects() {
-         RuntimeManager.effects.forEach(effect => {
-            if (effect.cleanup) effect.cleanup();
-         });
-         RuntimeManager.effects.clear();
-      }
+      static writeCache(key, data, response, prefetched) {
+         const hints = RuntimeManager.parseCacheHints(response.headers.get("X-Phpspa-Cache"));
 
-      static runAll() {
-         for (const targetID in RuntimeManager.currentRoutes) {
-            const element = document.getElementById(targetID);
+         // --- no-store responses are only kept when prefetched, and dropped once used ---
+         if (hints.noStore && !prefetched) {
+            RuntimeManager.responseCache.delete(key);
+            return;
+         }
 
-            if (element) {
-               this.runInlineScripts(element);
-               this.runPhpSpaScripts(element);
-               this.runInlineStyles(element);
-            }
+         RuntimeManager.responseCache.delete(key);
+         RuntimeManager.responseCache.set(key, { data, time: Date.now(), prefetched, ...hints });
+
+         while (RuntimeManager.responseCache.size > RuntimeManager.config.cacheLimit) {
+            RuntimeManager.responseCache.delete(RuntimeManager.responseCache.keys().next().value);
          }
       }
 
       /**
-       * Processes and executes inline scripts within a container
-       * Creates isolated scopes using IIFE to prevent variable conflicts
+       * Reads a cached navigation response for a URL.
+       * A prefetched entry is used as fresh once, then follows the normal TTLs.
        *
-       * @param {HTMLElement} container - The container to search for script elements
-       * @private
+       * @param {URL} url - The URL being navigated to
+       * @param {string} [target="navigate"] - The request target
+       * @returns {{ data: string|Object, fresh: boolean }|null}
        */
-      static runInlineScripts(container) {
-         const scripts = container.querySelectorAll("script");
-         const nonce = document.documentElement.getAttribute('x-phpspa');
-
-         scripts.forEach((script) => {
-            // --- Use base64 encoded content as unique identifier ---
-            const contentHash = utf8ToBase64(script.textContent.trim());
+      static readCache(url, target = "navigate") {
+         const key = RuntimeManager.cacheKey(url, target);
+         const entry = RuntimeManager.responseCache.get(key);
 
-            // --- Skip if this script has already been executed ---
-            if (!this.executedScripts.has(contentHash) && script.textContent.trim() !== "") {
-               this.executedScripts.add(contentHash);
+         if (!entry) return null;
 
-               // --- Create new script element ---
-               const newScript = document.createElement("script");
-               newScript.nonce = nonce;
+         const age = Date.now() - entry.time;
 
-               // --- Copy all attributes except the data-type identifier ---
-               for (const attribute of script.attributes) {
-                  newScript.setAttribute(attribute.name, attribute.value);
-               }
+         if (entry.prefetched && age < RuntimeManager.config.prefetchTTL) {
+            entry.prefetched = false;
+            if (entry.noStore) RuntimeManager.responseCache.delete(key);
+            return { data: entry.data, fresh: true };
+         }
 
-               // --- Check if script should run in async context ---
-               const isAsync = script.hasAttribute("async");
+         if (entry.noStore || age >= entry.maxAge + entry.staleWhileRevalidate) {
+            RuntimeManager.responseCache.delete(key);
+            return null;
+         }
 
-               // --- Wrap in IIFE to create isolated scope ---
-               if (isAsync) {
-                  newScript.textContent = `(async function() {\n${script.textContent}\n})();`;
-               } else {
-                  newScript.textContent = `(function() {\n${script.textContent}\n})();`;
-               }
+         // --- Mark as recently used ---
+         RuntimeManager.responseCache.delete(key);
+         RuntimeManager.responseCache.set(key, entry);
 
-               // --- Execute and immediately remove from DOM ---
-               document.head.appendChild(newScript).remove();
-            }
-         });
+         return { data: entry.data, fresh: age < entry.maxAge };
       }
 
+      /**
+       * Checks, without consuming it, whether a URL has a fresh or prefetched cache entry or a request in flight
+       *
+       * @param {URL} url - The URL to check
+       * @returns {boolean}
+       */
+      static hasFreshCache(url) {
+         const key = RuntimeManager.cacheKey(url);
+         const entry = RuntimeManager.responseCache.get(key);
 
-      static runPhpSpaScripts(container) {
-         const scripts = container.querySelectorAll("phpspa-script, script[data-type=\"phpspa/script\"]");
+         if (RuntimeManager.inflightRequests.has(key)) return true;
+         if (!entry) return false;
 
-         scripts.forEach(async (script) => {
-            const scriptUrl = script.getAttribute('src');
-            const scriptType = script.getAttribute('type');
-            const nonce = document.documentElement.getAttribute('x-phpspa');
+         const age = Date.now() - entry.time;
 
-            // --- Skip if this script has already been executed ---
-            if (!this.executedScripts.has(scriptUrl)) {
-               this.executedScripts.add(scriptUrl);
+         return (entry.prefetched && age < RuntimeManager.config.prefetchTTL) || (!entry.noStore && age < entry.maxAge);
+      }
 
-               // --- Check cache first ---
-               if (this.ScriptsCachedContent[scriptUrl]) {
-                  const newScript = document.createElement("script");
-                  newScript.textContent = this.ScriptsCachedContent[scriptUrl];
-                  newScript.type = scriptType;
-                  newScript.nonce = nonce;
+      /**
+       * Fetches and parses a navigation response, sharing one request between
+       * concurrent callers for the same URL. Successful responses are cached.
+       *
+       * The underlying request is only aborted once every caller that passed a
+       * signal has aborted; prefetches never abort it.
+       *
+       * Non-GET requests (form submissions) and requests with extra headers
+       * are neither shared nor cached.
+       *
+       * @param {URL} url - The URL to fetch
+       * @param {{
+       *    signal?: AbortSignal,
+       *    prefetch?: boolean,
+       *    method?: string,
+       *    body?: FormData,
+       *    headers?: Object<string, string>,
+       *    target?: string
+       * }} [options]
+       * @returns {Promise<{ data: string|Object, response: Response }>}
+       */
+      static fetchNavigation(url, { signal, prefetch = false, method = "GET", body, headers = {}, target } = {}) {
+         if (method !== "GET" || Object.keys(headers).length > 0) {
+            return RuntimeManager.sendRequest(url, {
+               method,
+               body,
+               headers: {
+                  ...RuntimeManager.config.headers,
+                  ...headers,
+                  "X-Requested-With": "PHPSPA_REQUEST",
+                  "X-Phpspa-Target": "navigate",
+               },
+               mode: "same-origin",
+               redirect: "follow",
+               signal,
+            }, { source: "navigate" }).then(async (response) => ({
+               data: RuntimeManager.parseResponse(await response.text(), response),
+               response,
+            }));
+         }
 
-                  // --- Execute and immediately remove from DOM ---
-                  document.head.appendChild(newScript).remove();
-                  return;
-               }
+         const key = RuntimeManager.cacheKey(url, target);
+         let inflight = RuntimeManager.inflightRequests.get(key);
 
-               const response = await fetch(scriptUrl, {
-                  headers: {
-                     "X-Requested-With": "PHPSPA_REQUEST_SCRIPT",
-                  },
+         if (!inflight) {
+            const controller = new AbortController();
+            const requestHeaders = {
+               ...RuntimeManager.config.headers,
+               "X-Requested-With": "PHPSPA_REQUEST",
+               "X-Phpspa-Target": "navigate",
+            };
+
+            if (prefetch) requestHeaders["X-Phpspa-Prefetch"] = "true";
+
+            const promise = RuntimeManager.sendRequest(url, {
+               headers: requestHeaders,
+               mode: "same-origin",
+               redirect: "follow",
+               keepalive: true,
+               signal: controller.signal,
+            }, { source: prefetch ? "prefetch" : "navigate" })
+               .then(async (response) => {
+                  const data = RuntimeManager.parseResponse(await response.text(), response);
+
+                  // --- Redirects often depend on the session, so they are fetched again every time ---
+                  // --- Responses from a newer deploy are never rendered, so there is no point keeping them ---
+                  if (response.ok && !response.redirected && !RuntimeManager.isOutdated(response)) {
+                     RuntimeManager.writeCache(key, data, response, prefetch);
+                  }
+
+                  return { data, response };
+               })
+               .finally(() => {
+                  if (RuntimeManager.inflightRequests.get(key) === inflight) {
+                     RuntimeManager.inflightRequests.delete(key);
+                  }
                });
 
-               if (response.ok) {
-                  const scriptContent = await response.text();
+            inflight = { promise, controller, consumers: 0 };
+            RuntimeManager.inflightRequests.set(key, inflight);
+         }
 
-                  // --- Create new script element ---
-                  const newScript = document.createElement("script");
-                  newScript.textContent = scriptContent;
-                  newScript.type = scriptType;
-                  newScript.nonce = nonce;
+         if (!signal) {
+            // --- Callers without a signal keep the request alive ---
+            inflight.consumers = Infinity;
+            return inflight.promise;
+         }
 
-                  // --- Execute and immediately remove from DOM ---
-                  document.head.appendChild(newScript).remove();
+         if (signal.aborted) {
+            return Promise.reject(new DOMException("The navigation was aborted.", "AbortError"));
+         }
 
-                  // --- Cache the fetched script content ---
-                  this.ScriptsCachedContent[scriptUrl] = scriptContent;
-               } else {
-                  console.error(`Failed to load script from ${scriptUrl}: ${response.statusText}`);
-               }
-            }
+         inflight.consumers++;
+
+         return new Promise((resolve, reject) => {
+            const onAbort = () => {
+               if (--inflight.consumers <= 0) inflight.controller.abort();
+               reject(new DOMException("The navigation was aborted.", "AbortError"));
+            };
+
+            signal.addEventListener("abort", onAbort, { once: true });
+
+            inflight.promise
+               .then(resolve, reject)
+               .finally(() => signal.removeEventListener("abort", onAbort));
          });
       }
 
-
       /**
-       * Clears all executed scripts from the runtime manager.
-       * This method removes all entries from the executedScripts collection,
-       * effectively resetting the tracking of previously executed scripts.
+       * Reads the prefetch strategy of a link, "hover" when the attribute is empty
        *
-       * @static
-       * @memberof RuntimeManager
-       * @since 1.0.0
+       * @param {HTMLAnchorElement} link - The link to inspect
+       * @returns {"hover"|"viewport"|"eager"|null}
        */
-      static clearExecutedScripts() {
-         RuntimeManager.executedScripts.clear();
+      static prefetchStrategy(link) {
+         if (!link.hasAttribute("data-phpspa-prefetch")) return null;
+
+         const strategy = link.getAttribute("data-phpspa-prefetch").trim().toLowerCase() || "hover";
+
+         return ["hover", "viewport", "eager"].includes(strategy) ? strategy : null;
       }
 
       /**
-       * Processes and injects inline styles within a container
-       * Prevents duplicate style injection by tracking content hashes
+       * Schedules prefetching for links using the "viewport" and "eager" strategies.
+       * Hover prefetching is handled by delegated listeners and needs no scan.
        *
-       * @param {HTMLElement} container - The container to search for style elements
-       * @private
+       * @param {ParentNode} [container=document] - The element to scan for links
        */
-      static runInlineStyles(container) {
-         const styles = container.querySelectorAll("style");
-         const nonce = document.documentElement.getAttribute('x-phpspa');
+      static scanPrefetchLinks(container = document) {
+         if (!RuntimeManager.canPrefetch()) return;
 
-         styles.forEach((style) => {
-            // --- Use base64 encoded content as unique identifier ---
-            const contentHash = utf8ToBase64(style.textContent.trim());
+         const links = container.querySelectorAll('a[data-type="phpspa-link-tag"][data-phpspa-prefetch]');
 
-            // --- Skip if this style has already been injected ---
-            if (!this.executedStyles.has(contentHash) && style.textContent.trim() !== "") {
-               this.executedStyles.add(contentHash);
+         links.forEach((link) => {
+            if (RuntimeManager.prefetchScheduled.has(link)) return;
 
-               // --- Create new style element ---
-               const newStyle = document.createElement("style");
-               newStyle.nonce = nonce;
+            const strategy = RuntimeManager.prefetchStrategy(link);
 
-               // --- Copy all attributes except the data-type identifier ---
-               for (const attribute of style.attributes) {
-                  newStyle.setAttribute(attribute.name, attribute.value);
+            if (strategy === "eager") {
+               RuntimeManager.prefetchScheduled.add(link);
+               phpspa.prefetch(link.href);
+            } else if (strategy === "viewport" && typeof IntersectionObserver === "function") {
+               if (!RuntimeManager.prefetchObserver) {
+                  RuntimeManager.prefetchObserver = new IntersectionObserver((entries, observer) => {
+                     entries.forEach((entry) => {
+                        if (!entry.isIntersecting) return;
+
+                        observer.unobserve(entry.target);
+                        phpspa.prefetch(entry.target.href);
+                     });
+                  });
                }
 
-               // --- Copy style content and inject into head ---
-               newStyle.textContent = style.textContent;
-               document.head.appendChild(newStyle).remove();
+               RuntimeManager.prefetchScheduled.add(link);
+               RuntimeManager.prefetchObserver.observe(link);
             }
          });
       }
 
       /**
-       * Emits a custom event to all registered listeners
-       * Used for lifecycle events like 'beforeload' and 'load'
+       * Emits a custom event to all registered listeners, then dispatches it on `document`
+       * as a cancelable `phpspa:<event>` CustomEvent with the payload as `detail`
        *
        * @param {string} eventName - The name of the event to emit
        * @param {Object} payload - The data to pass to event listeners
+       * @returns {boolean} False when a listener returned false or called preventDefault()
        */
       static emit(eventName, payload) {
-         const callbacks = this.events[eventName] || [];
+         // --- Copy, once() listeners remove themselves while the chain runs ---
+         const callbacks = [...(this.events[eventName] || [])];
+         let allowed = true;
 
          // --- Execute all registered callbacks for this event ---
          for (const callback of callbacks) {
             if (typeof callback === "function") {
                try {
-                  callback(payload);
+                  if (callback(payload) === false) allowed = false;
                } catch (error) {
                   // --- Log callback errors but don't break the chain ---
                   console.error(`Error in ${eventName} event callback:`, error);
                }
             }
          }
+
+         // --- Mirror as a DOM event for other libraries ---
+         const domEvent = new CustomEvent(`phpspa:${eventName}`, { detail: payload, cancelable: true });
+
+         if (!document.dispatchEvent(domEvent)) allowed = false;
+
+         return allowed;
+      }
+
+      /**
+       * Runs the plugin `beforeHistory` hooks for a history write. Plugins may change
+       * the entry's `state`, `title` and `url`, or return false to skip the write.
+       *
+       * @param {"push"|"replace"} method - The history method about to be called
+       * @param {Array} stateArgs - The state, title and URL
+       * @returns {Array|null} The arguments to write, or null if a plugin skipped it
+       */
+      static historyEntry(method, [state, title, url]) {
+         const entry = { method, state, title, url };
+
+         if (!RuntimeManager.runPluginHook("beforeHistory", entry)) return null;
+
+         return [entry.state, entry.title, entry.url];
       }
 
       /**
@@ -2048,7 +5735,18 @@
        */
       static pushState(...stateArgs) {
          try {
+            stateArgs = RuntimeManager.historyEntry("push", stateArgs);
+            if (!stateArgs) return;
+
+            // --- Number entries so a blocked back/forward can be undone ---
+            if (stateArgs[0] && typeof stateArgs[0] === "object") {
+               stateArgs[0] = { ...stateArgs[0], index: RuntimeManager.historyIndex + 1 };
+            }
+
             history.pushState(...stateArgs);
+            RuntimeManager.historyIndex++;
+            RuntimeManager.currentURL = location.href;
+            RuntimeManager.currentState = history.state;
          } catch (error) {
             // --- Silently handle history API restrictions ---
             console.warn("Failed to push history state:", error.message);
@@ -2063,7 +5761,16 @@
        */
       static replaceState(...stateArgs) {
          try {
+            stateArgs = RuntimeManager.historyEntry("replace", stateArgs);
+            if (!stateArgs) return;
+
+            if (stateArgs[0] && typeof stateArgs[0] === "object") {
+               stateArgs[0] = { ...stateArgs[0], index: RuntimeManager.historyIndex };
+            }
+
             history.replaceState(...stateArgs);
+            RuntimeManager.currentURL = location.href;
+            RuntimeManager.currentState = history.state;
          } catch (error) {
             // --- Silently handle history API restrictions ---
             console.warn("Failed to replace history state:", error.message);